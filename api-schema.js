@@ -0,0 +1,527 @@
+// The public API's description: task field rules, the validator that checks
+// request bodies against them, and the OpenAPI document for /api/v1. Nothing
+// here touches the database, so scripts can import it without starting the
+// server (see scripts/build-postman.js).
+
+export const TASK_PRIORITIES = ["low", "medium", "high", "critical"];
+export const TASK_STATUSES = ["active", "backlog", "done"];
+export const TASK_SORT_FIELDS = ["createdAt", "urgencyScore", "deadline", "estimateHrs", "position"];
+export const TASK_PAGE_DEFAULT = 50;
+export const TASK_PAGE_MAX = 200;
+export const TASK_TITLE_MAX = 200;
+export const TAG_MAX_LENGTH = 30;
+export const TAGS_PER_TASK_MAX = 20;
+export const TASK_BLOCKERS_MAX = 50;
+export const REMINDERS_MAX = 5;
+export const REMINDER_MAX_MINUTES = 30 * 24 * 60;
+export const RECURRENCE_TYPES = ["daily", "weekly", "monthly", "interval"];
+export const QUICK_ADD_MAX_LENGTH = 500;
+
+export const API_VERSION = "1.0.0";
+
+// Top-level error codes. Anything not listed falls back to the code for its
+// HTTP status.
+export const ERROR_CODES = {
+  VALIDATION_FAILED: "The body or query failed validation; details says which fields and why.",
+  INVALID_REQUEST: "The request could not be understood, e.g. malformed JSON.",
+  UNAUTHENTICATED: "No valid session or API token.",
+  FORBIDDEN: "Authenticated, but not allowed to do this.",
+  CSRF_FAILED: "A signed-in request that changes something did not carry a valid X-CSRF-Token header.",
+  INSUFFICIENT_ROLE: "Your project role does not allow this change.",
+  NOT_FOUND: "No such resource, or it is not visible to you.",
+  VERSION_REQUIRED: "Updates must say which version they are based on (If-Match or version).",
+  VERSION_CONFLICT: "The task changed since the version you sent; current holds the latest copy.",
+  HAS_SUBTASKS: "The task has subtasks; choose children=delete or children=detach.",
+  NOT_DELETED: "The task is not in the trash.",
+  INTERNAL_ERROR: "Something went wrong on the server.",
+};
+
+export const STATUS_ERROR_CODES = {
+  400: "INVALID_REQUEST",
+  401: "UNAUTHENTICATED",
+  403: "FORBIDDEN",
+  404: "NOT_FOUND",
+  409: "VERSION_CONFLICT",
+  428: "VERSION_REQUIRED",
+  500: "INTERNAL_ERROR",
+};
+
+// Per-field codes found in error details.
+export const FIELD_ERROR_CODES = ["REQUIRED", "INVALID_TYPE", "INVALID_VALUE", "INVALID_FORMAT", "TOO_SHORT", "TOO_LONG", "TOO_MANY", "OUT_OF_RANGE"];
+
+const RECURRENCE_SCHEMA = {
+  type: "object",
+  required: ["type"],
+  properties: {
+    type: { type: "string", enum: RECURRENCE_TYPES },
+    weekdays: { type: "array", items: { type: "integer", minimum: 0, maximum: 6 }, description: "Weekly rules: 0 is Sunday" },
+    monthDay: { type: "integer", minimum: 1, maximum: 31, description: "Monthly rules; short months use their last day" },
+    everyDays: { type: "integer", minimum: 1, maximum: 365, description: "Interval rules" },
+    until: { type: ["string", "null"], format: "date" },
+  },
+};
+
+const REMINDER_SCHEMA = {
+  oneOf: [
+    {
+      type: "object",
+      required: ["minutesBefore"],
+      properties: { minutesBefore: { type: "integer", minimum: 0, maximum: REMINDER_MAX_MINUTES } },
+    },
+    { type: "string", pattern: "^\\s*\\d+\\s*[mhdwMHDW]\\s*$", description: "Shorthand such as 30m, 2h, 1d or 1w" },
+  ],
+};
+
+// Writable task fields. Creates must send the required ones; updates send
+// any subset. Rules a schema can't express (real timezones, calendar dates,
+// relation cycles) are checked by the server after these.
+export const TASK_INPUT_SCHEMA = {
+  type: "object",
+  required: ["title", "priority", "estimateHrs"],
+  properties: {
+    title: { type: "string", pattern: "\\S", maxLength: TASK_TITLE_MAX, description: "Trimmed before saving" },
+    priority: { type: "string", enum: TASK_PRIORITIES },
+    estimateHrs: { type: "number", exclusiveMinimum: 0, maximum: 100 },
+    deadline: {
+      type: ["string", "null"],
+      description: "YYYY-MM-DD for a date-only deadline, or a date-time. A date-time without an offset is read in the task's timezone.",
+    },
+    timezone: { type: ["string", "null"], maxLength: 64, description: "IANA timezone; defaults to the account's" },
+    reminders: { type: ["array", "null"], maxItems: REMINDERS_MAX, items: REMINDER_SCHEMA },
+    notes: { type: ["string", "null"] },
+    important: { type: "boolean" },
+    status: { type: "string", enum: TASK_STATUSES },
+    tags: {
+      type: ["array", "string", "null"],
+      maxItems: TAGS_PER_TASK_MAX,
+      items: { type: "string", maxLength: TAG_MAX_LENGTH },
+      description: "A list, or one comma-separated string. Tags are lower-cased; no commas or #.",
+    },
+    parentId: { type: ["string", "null"], description: "Id of the parent task in the same list" },
+    blockedBy: { type: "array", maxItems: TASK_BLOCKERS_MAX, items: { type: "string" } },
+    assigneeId: { type: ["string", "null"], description: "A project member, or yourself for personal tasks" },
+    recurrence: { oneOf: [RECURRENCE_SCHEMA, { type: "null" }] },
+  },
+};
+
+function matchesType(type, value) {
+  switch (type) {
+    case "null":
+      return value === null;
+    case "array":
+      return Array.isArray(value);
+    case "object":
+      return value !== null && typeof value === "object" && !Array.isArray(value);
+    case "integer":
+      return Number.isInteger(value);
+    case "number":
+      return typeof value === "number" && Number.isFinite(value);
+    default:
+      return typeof value === type;
+  }
+}
+
+function describeTypes(types) {
+  const names = types.map((t) => (["array", "integer", "object"].includes(t) ? `an ${t}` : t === "null" ? "null" : `a ${t}`));
+  return names.length > 1 ? `${names.slice(0, -1).join(", ")} or ${names[names.length - 1]}` : names[0];
+}
+
+function fieldError(field, code, message) {
+  return { field, code, message: `${field} ${message}` };
+}
+
+// Checks one value against the subset of JSON Schema used in this file: type
+// (one or a list), enum, string and array lengths, numeric bounds, pattern,
+// items, object properties and oneOf.
+export function schemaErrors(schema, value, field) {
+  if (schema.oneOf) {
+    if (schema.oneOf.some((option) => !schemaErrors(option, value, field).length)) return [];
+    // Report against the option of the right type, if there is one.
+    const typed = schema.oneOf.find((option) => [].concat(option.type ?? []).some((t) => matchesType(t, value)));
+    return typed ? schemaErrors(typed, value, field) : [fieldError(field, "INVALID_TYPE", "has the wrong type")];
+  }
+  const types = [].concat(schema.type ?? []);
+  if (types.length && !types.some((t) => matchesType(t, value))) return [fieldError(field, "INVALID_TYPE", `must be ${describeTypes(types)}`)];
+  if (value === null) return [];
+  if (schema.enum && !schema.enum.includes(value)) return [fieldError(field, "INVALID_VALUE", `must be one of ${schema.enum.join(", ")}`)];
+
+  if (typeof value === "string") {
+    if (schema.minLength !== undefined && value.length < schema.minLength) return [fieldError(field, "TOO_SHORT", `must be at least ${schema.minLength} characters`)];
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) return [fieldError(field, "TOO_LONG", `must be at most ${schema.maxLength} characters`)];
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      return [schema.pattern === "\\S" ? fieldError(field, "REQUIRED", "must not be blank") : fieldError(field, "INVALID_FORMAT", "has an invalid format")];
+    }
+  }
+  if (typeof value === "number") {
+    const below = (schema.minimum !== undefined && value < schema.minimum) || (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum);
+    if (below || (schema.maximum !== undefined && value > schema.maximum)) {
+      const bounds = [];
+      if (schema.exclusiveMinimum !== undefined) bounds.push(`more than ${schema.exclusiveMinimum}`);
+      if (schema.minimum !== undefined) bounds.push(`at least ${schema.minimum}`);
+      if (schema.maximum !== undefined) bounds.push(`at most ${schema.maximum}`);
+      const range = schema.minimum !== undefined && schema.maximum !== undefined ? `between ${schema.minimum} and ${schema.maximum}` : bounds.join(" and ");
+      return [fieldError(field, "OUT_OF_RANGE", `must be ${range}`)];
+    }
+  }
+  if (Array.isArray(value)) {
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) return [fieldError(field, "TOO_MANY", `can have at most ${schema.maxItems} items`)];
+    if (schema.items) return value.flatMap((item, i) => schemaErrors(schema.items, item, `${field}[${i}]`));
+  }
+  if (matchesType("object", value) && schema.properties) return bodyErrors(schema, value, { prefix: `${field}.` });
+  return [];
+}
+
+// Problems with an object body, one entry per field: { field, code, message }.
+// With partial, required fields may be left out (updates send what changes).
+export function bodyErrors(schema, body, { partial = false, prefix = "" } = {}) {
+  if (!matchesType("object", body)) return [{ field: prefix.slice(0, -1) || null, code: "INVALID_TYPE", message: "Expected a JSON object" }];
+  const errors = [];
+  if (!partial) {
+    (schema.required || []).forEach((key) => {
+      if (body[key] === undefined) errors.push(fieldError(`${prefix}${key}`, "REQUIRED", "is required"));
+    });
+  }
+  Object.entries(schema.properties).forEach(([key, property]) => {
+    if (body[key] !== undefined) errors.push(...schemaErrors(property, body[key], `${prefix}${key}`));
+  });
+  return errors;
+}
+
+const TASK_EXAMPLE = {
+  title: "Write project report",
+  priority: "high",
+  estimateHrs: 3,
+  deadline: "2025-06-30",
+  timezone: "Europe/Rome",
+  reminders: [{ minutesBefore: 1440 }],
+  notes: "Include the Q2 numbers",
+  important: true,
+  status: "active",
+  tags: ["work"],
+};
+
+function jsonContent(schema, example) {
+  return { "application/json": { schema, ...(example !== undefined ? { example } : {}) } };
+}
+
+function errorResponse(description) {
+  return { description, content: jsonContent({ $ref: "#/components/schemas/Error" }) };
+}
+
+function taskResponse(description) {
+  return { description, content: jsonContent({ $ref: "#/components/schemas/Task" }) };
+}
+
+const TASK_ID_PARAM = { name: "id", in: "path", required: true, schema: { type: "string" }, description: "Task id" };
+const PROJECT_PARAM = {
+  name: "project",
+  in: "query",
+  schema: { type: "string" },
+  description: "Project id; leave out (or send personal) for your personal tasks",
+};
+const IF_MATCH_PARAM = {
+  name: "If-Match",
+  in: "header",
+  schema: { type: "string" },
+  description: 'The task version as an ETag, e.g. "3". A version field in the body works too.',
+  example: '"0"',
+};
+
+const LIST_PARAMS = [
+  PROJECT_PARAM,
+  { name: "status", in: "query", schema: { type: "string" }, description: `Comma-separated: ${TASK_STATUSES.join(", ")}` },
+  { name: "priority", in: "query", schema: { type: "string" }, description: `Comma-separated: ${TASK_PRIORITIES.join(", ")}` },
+  { name: "important", in: "query", schema: { type: "string", enum: ["true", "false"] } },
+  { name: "deadlineFrom", in: "query", schema: { type: "string", format: "date" } },
+  { name: "deadlineTo", in: "query", schema: { type: "string", format: "date" } },
+  { name: "tag", in: "query", schema: { type: "string" }, description: "Comma-separated; tasks must have every tag" },
+  { name: "parent", in: "query", schema: { type: "string" }, description: "A task id, or none for top-level tasks" },
+  { name: "assignee", in: "query", schema: { type: "string" }, description: "A user id, me, or none" },
+  { name: "q", in: "query", schema: { type: "string", maxLength: 100 }, description: "Searches titles and notes" },
+  { name: "sort", in: "query", schema: { type: "string", enum: TASK_SORT_FIELDS, default: "createdAt" } },
+  { name: "order", in: "query", schema: { type: "string", enum: ["asc", "desc"], default: "desc" } },
+  { name: "limit", in: "query", schema: { type: "integer", minimum: 1, maximum: TASK_PAGE_MAX, default: TASK_PAGE_DEFAULT } },
+  { name: "cursor", in: "query", schema: { type: "string" }, description: "nextCursor from the previous page" },
+];
+
+// The OpenAPI 3.1 document served at /api/v1/openapi.json. Paths are absolute
+// so the sign-in routes (which aren't versioned) can be described alongside.
+export function openApiDocument() {
+  const taskInputUpdate = {
+    ...TASK_INPUT_SCHEMA,
+    required: [],
+    properties: {
+      ...TASK_INPUT_SCHEMA.properties,
+      version: { type: "integer", minimum: 0, description: "The version the edit is based on, if If-Match isn't sent" },
+      scope: { type: "string", enum: ["occurrence", "series"], default: "occurrence", description: "Recurring tasks: series also updates later occurrences" },
+    },
+  };
+  const taskInputCreate = {
+    ...TASK_INPUT_SCHEMA,
+    properties: { ...TASK_INPUT_SCHEMA.properties, projectId: { type: ["string", "null"], description: "Create in this project" } },
+  };
+
+  return {
+    openapi: "3.1.0",
+    info: {
+      title: "TaskRush API",
+      version: API_VERSION,
+      description: "Versioned task API. Authenticate with the session cookie from /auth/login, or an API token "
+        + "(created in the account panel or with POST /auth/tokens) as a bearer token. Errors always have the shape "
+        + "{ error: { code, message, details? } }; details lists problems per field.",
+    },
+    servers: [{ url: "/" }],
+    security: [{ bearerAuth: [] }, { cookieAuth: [] }],
+    tags: [
+      { name: "Auth", description: "Signing in and API tokens" },
+      { name: "Tasks", description: "Tasks in your personal list or a project" },
+      { name: "Meta", description: "This document" },
+    ],
+    paths: {
+      "/auth/login": {
+        post: {
+          tags: ["Auth"],
+          operationId: "login",
+          summary: "Sign in",
+          security: [],
+          requestBody: {
+            required: true,
+            content: jsonContent(
+              { type: "object", required: ["username", "password"], properties: { username: { type: "string" }, password: { type: "string" } } },
+              { username: "alice", password: "correct-horse-1" },
+            ),
+          },
+          responses: {
+            200: { description: "Signed in; sets the session cookie" },
+            401: { description: "Wrong username or password" },
+            429: { description: "Too many failed attempts; Retry-After says how long to wait" },
+          },
+        },
+      },
+      "/auth/logout": {
+        post: { tags: ["Auth"], operationId: "logout", summary: "Sign out", security: [{ cookieAuth: [] }], responses: { 200: { description: "Signed out" } } },
+      },
+      "/auth/me": {
+        get: { tags: ["Auth"], operationId: "currentUser", summary: "Current user", security: [], responses: { 200: { description: "{ authenticated, user }" } } },
+      },
+      "/auth/tokens": {
+        post: {
+          tags: ["Auth"],
+          operationId: "createToken",
+          summary: "Create an API token",
+          description: "Needs a signed-in session. The token itself is only returned here.",
+          security: [{ cookieAuth: [] }],
+          requestBody: {
+            required: true,
+            content: jsonContent(
+              { type: "object", required: ["name"], properties: { name: { type: "string" }, scopes: { type: "array", items: { type: "string", enum: ["read", "write"] } }, expiresInDays: { type: "integer" } } },
+              { name: "Postman", scopes: ["read", "write"], expiresInDays: 30 },
+            ),
+          },
+          responses: { 201: { description: "{ token, ... }" } },
+        },
+      },
+      "/api/v1/openapi.json": {
+        get: { tags: ["Meta"], operationId: "openApiDocument", summary: "This OpenAPI document", security: [], responses: { 200: { description: "OpenAPI 3.1 document" } } },
+      },
+      "/api/v1/tasks": {
+        get: {
+          tags: ["Tasks"],
+          operationId: "listTasks",
+          summary: "List tasks",
+          parameters: LIST_PARAMS,
+          responses: {
+            200: { description: "One page of tasks", content: jsonContent({ $ref: "#/components/schemas/TaskPage" }) },
+            400: errorResponse("Invalid filter, sort or cursor (VALIDATION_FAILED)"),
+            404: errorResponse("Unknown project"),
+          },
+        },
+        post: {
+          tags: ["Tasks"],
+          operationId: "createTask",
+          summary: "Create a task",
+          requestBody: { required: true, content: jsonContent({ $ref: "#/components/schemas/TaskCreate" }, TASK_EXAMPLE) },
+          responses: {
+            201: taskResponse("The new task; Location points at it"),
+            400: errorResponse("VALIDATION_FAILED"),
+            403: errorResponse("INSUFFICIENT_ROLE"),
+            404: errorResponse("Unknown project"),
+          },
+        },
+      },
+      "/api/v1/tasks/parse": {
+        get: {
+          tags: ["Tasks"],
+          operationId: "parseQuickAdd",
+          summary: "Parse a quick-add line",
+          description: "Reads a line like \"Ship invoice !high ~2h due fri #acme *\" into task fields without saving anything: "
+            + "!priority, ~estimate (2h, 30m, 1h30m), #tag, * for important and \"due\" or \"by\" followed by a date and/or time "
+            + "(tomorrow, fri, next fri, in 3 days, mar 4, 2026-03-04, 5pm, at 9:30am). Anything not understood stays in the title. "
+            + "Add priority and estimateHrs if they're missing, then send fields to POST /api/v1/tasks.",
+          parameters: [
+            { name: "text", in: "query", required: true, schema: { type: "string", maxLength: QUICK_ADD_MAX_LENGTH }, example: "Ship invoice !high ~2h due fri #acme *" },
+            { name: "timezone", in: "query", schema: { type: "string" }, description: "IANA timezone relative dates count in; defaults to the account's" },
+          ],
+          responses: {
+            200: { description: "The parsed fields", content: jsonContent({ $ref: "#/components/schemas/QuickAdd" }) },
+            400: errorResponse("VALIDATION_FAILED"),
+          },
+        },
+      },
+      "/api/v1/tasks/{id}": {
+        parameters: [TASK_ID_PARAM],
+        get: {
+          tags: ["Tasks"],
+          operationId: "getTask",
+          summary: "Get a task",
+          responses: { 200: taskResponse("The task; ETag carries its version"), 404: errorResponse("NOT_FOUND") },
+        },
+        patch: {
+          tags: ["Tasks"],
+          operationId: "updateTask",
+          summary: "Update a task",
+          description: "Send only the fields that change, plus the version the edit is based on.",
+          parameters: [IF_MATCH_PARAM],
+          requestBody: { required: true, content: jsonContent({ $ref: "#/components/schemas/TaskUpdate" }, { priority: "critical", version: 0 }) },
+          responses: {
+            200: taskResponse("The updated task"),
+            400: errorResponse("VALIDATION_FAILED"),
+            403: errorResponse("INSUFFICIENT_ROLE"),
+            404: errorResponse("NOT_FOUND"),
+            409: errorResponse("VERSION_CONFLICT; error.current is the latest copy"),
+            428: errorResponse("VERSION_REQUIRED"),
+          },
+        },
+        delete: {
+          tags: ["Tasks"],
+          operationId: "deleteTask",
+          summary: "Move a task to the trash",
+          parameters: [
+            { ...IF_MATCH_PARAM, description: "Optional; when sent it must match" },
+            { name: "children", in: "query", schema: { type: "string", enum: ["delete", "detach"] }, description: "Required when the task has subtasks" },
+          ],
+          responses: {
+            200: taskResponse("The deleted task, with deletedAt and the ids of everything trashed with it"),
+            404: errorResponse("NOT_FOUND"),
+            409: errorResponse("HAS_SUBTASKS or VERSION_CONFLICT"),
+          },
+        },
+      },
+      "/api/v1/tasks/{id}/restore": {
+        parameters: [TASK_ID_PARAM],
+        post: {
+          tags: ["Tasks"],
+          operationId: "restoreTask",
+          summary: "Restore a task from the trash",
+          description: "Subtasks deleted along with it come back too.",
+          responses: { 200: taskResponse("The restored task"), 404: errorResponse("NOT_FOUND"), 409: errorResponse("NOT_DELETED") },
+        },
+      },
+    },
+    components: {
+      securitySchemes: {
+        bearerAuth: { type: "http", scheme: "bearer", description: "An API token starting with trk_" },
+        cookieAuth: {
+          type: "apiKey",
+          in: "cookie",
+          name: "taskrush.sid",
+          description: "The browser session. Requests other than GET must also send the value of the taskrush.csrf cookie in an X-CSRF-Token header.",
+        },
+      },
+      schemas: {
+        TaskCreate: taskInputCreate,
+        TaskUpdate: taskInputUpdate,
+        Recurrence: RECURRENCE_SCHEMA,
+        QuickAdd: {
+          type: "object",
+          properties: {
+            fields: {
+              type: "object",
+              description: "title plus whichever of the other fields the line set. A deadline is YYYY-MM-DD, or YYYY-MM-DDTHH:MM on the clock in timezone.",
+              properties: {
+                title: { type: "string" },
+                priority: { type: "string", enum: TASK_PRIORITIES },
+                estimateHrs: { type: "number" },
+                deadline: { type: "string" },
+                timezone: { type: "string" },
+                tags: { type: "array", items: { type: "string" } },
+                important: { type: "boolean" },
+              },
+            },
+            warnings: { type: "array", items: { type: "string" }, description: "Markers that looked meant but couldn't be used, e.g. a date that doesn't exist" },
+          },
+        },
+        Task: {
+          type: "object",
+          properties: {
+            id: { type: "string" },
+            title: { type: "string" },
+            priority: { type: "string", enum: TASK_PRIORITIES },
+            estimateHrs: { type: "number" },
+            loggedHrs: { type: "number" },
+            deadline: { type: ["string", "null"], description: "YYYY-MM-DD, or an ISO instant when deadlineHasTime" },
+            deadlineHasTime: { type: "boolean" },
+            timezone: { type: ["string", "null"] },
+            reminders: { type: "array", items: { type: "object", properties: { minutesBefore: { type: "integer" } } } },
+            nextReminderAt: { type: ["string", "null"], format: "date-time" },
+            notes: { type: "string" },
+            important: { type: "boolean" },
+            status: { type: "string", enum: TASK_STATUSES },
+            tags: { type: "array", items: { type: "string" } },
+            urgencyScore: { type: "number" },
+            urgency: { type: "object", description: "Score breakdown" },
+            parentId: { type: ["string", "null"] },
+            blockedBy: { type: "array", items: { type: "string" } },
+            openBlockers: { type: "array", items: { type: "string" } },
+            blocked: { type: "boolean" },
+            subtaskCount: { type: "integer" },
+            rollupEstimateHrs: { type: "number" },
+            seriesId: { type: ["string", "null"] },
+            recurrence: { oneOf: [{ $ref: "#/components/schemas/Recurrence" }, { type: "null" }] },
+            version: { type: "integer" },
+            position: { type: ["number", "null"] },
+            projectId: { type: ["string", "null"] },
+            assignee: { type: ["object", "null"], properties: { id: { type: "string" }, username: { type: ["string", "null"] } } },
+            createdAt: { type: "string", format: "date-time" },
+            deletedAt: { type: "string", format: "date-time", description: "Only on delete responses" },
+            deletedIds: { type: "array", items: { type: "string" }, description: "Only on delete responses" },
+          },
+        },
+        TaskPage: {
+          type: "object",
+          properties: {
+            tasks: { type: "array", items: { $ref: "#/components/schemas/Task" } },
+            total: { type: "integer" },
+            nextCursor: { type: ["string", "null"] },
+            urgencyWeights: { type: "object", description: "The weights urgency scores were computed with" },
+            project: { type: ["object", "null"], properties: { id: { type: "string" }, name: { type: "string" } } },
+            role: { type: "string", enum: ["viewer", "editor", "owner"], description: "Your role in the list" },
+          },
+        },
+        Error: {
+          type: "object",
+          required: ["error"],
+          properties: {
+            error: {
+              type: "object",
+              required: ["code", "message"],
+              properties: {
+                code: { type: "string", enum: Object.keys(ERROR_CODES), description: Object.entries(ERROR_CODES).map(([code, text]) => `${code}: ${text}`).join("\n") },
+                message: { type: "string" },
+                details: {
+                  type: "array",
+                  items: {
+                    type: "object",
+                    properties: { field: { type: ["string", "null"] }, code: { type: "string", enum: FIELD_ERROR_CODES }, message: { type: "string" } },
+                  },
+                },
+                current: { $ref: "#/components/schemas/Task" },
+              },
+            },
+          },
+          example: { error: { code: "VALIDATION_FAILED", message: "priority must be one of low, medium, high, critical", details: [{ field: "priority", code: "INVALID_VALUE", message: "priority must be one of low, medium, high, critical" }] } },
+        },
+      },
+    },
+  };
+}
@@ -0,0 +1,151 @@
+// Renders the OpenAPI document as a list of operations that can be tried
+// from the browser. Requests go out with the session cookie, so anything the
+// signed-in user can do in the app works here without a token.
+const SPEC_URL = "/api/v1/openapi.json";
+const METHODS = ["get", "post", "put", "patch", "delete"];
+
+const statusEl = document.getElementById("explorer-status");
+const operationsEl = document.getElementById("operations");
+
+function el(tag, attrs = {}, children = []) {
+  const node = document.createElement(tag);
+  for (const [key, value] of Object.entries(attrs)) {
+    if (key === "text") node.textContent = value;
+    else node.setAttribute(key, value);
+  }
+  for (const child of [].concat(children)) if (child) node.append(child);
+  return node;
+}
+
+function paramInput(opId, param) {
+  const id = `${opId}-${param.in}-${param.name}`;
+  const input = el("input", {
+    id,
+    class: "form-control form-control-sm",
+    "data-in": param.in,
+    "data-name": param.name,
+    placeholder: param.example ?? (param.schema?.default !== undefined ? String(param.schema.default) : ""),
+  });
+  if (param.required) input.required = true;
+  const label = el("label", { for: id, class: "form-label" }, [
+    el("code", { text: param.name }),
+    ` (${param.in}${param.required ? ", required" : ""})`,
+  ]);
+  const hint = param.description ? el("div", { class: "form-text", text: param.description }) : null;
+  return el("div", { class: "explorer-param" }, [label, input, hint]);
+}
+
+function buildRequest(form, pathTemplate, method) {
+  let url = pathTemplate;
+  const query = new URLSearchParams();
+  const headers = {};
+  for (const input of form.querySelectorAll("input[data-in]")) {
+    const value = input.value.trim();
+    if (!value) continue;
+    const name = input.dataset.name;
+    if (input.dataset.in === "path") url = url.replace(`{${name}}`, encodeURIComponent(value));
+    else if (input.dataset.in === "query") query.set(name, value);
+    else if (input.dataset.in === "header") headers[name] = value;
+  }
+  if (query.toString()) url += `?${query}`;
+  const options = { method: method.toUpperCase(), headers, credentials: "include" };
+  // Session-authenticated writes must echo the CSRF cookie.
+  const csrf = document.cookie.match(/(?:^|;\s*)taskrush\.csrf=([^;]*)/);
+  if (csrf && options.method !== "GET" && !headers["X-CSRF-Token"]) headers["X-CSRF-Token"] = decodeURIComponent(csrf[1]);
+  const bodyEl = form.querySelector("textarea");
+  if (bodyEl && bodyEl.value.trim()) {
+    headers["Content-Type"] = "application/json";
+    options.body = bodyEl.value;
+  }
+  return { url, options };
+}
+
+async function sendRequest(form, pathTemplate, method, output) {
+  const missing = [...form.querySelectorAll("input[data-in='path']")].find((input) => !input.value.trim());
+  if (missing) {
+    output.textContent = `${missing.dataset.name} is required`;
+    missing.focus();
+    return;
+  }
+  const { url, options } = buildRequest(form, pathTemplate, method);
+  output.textContent = `${options.method} ${url}…`;
+  try {
+    const res = await fetch(url, options);
+    const text = await res.text();
+    let body = text;
+    try {
+      body = JSON.stringify(JSON.parse(text), null, 2);
+    } catch {
+      // Not JSON; show it as it came.
+    }
+    const etag = res.headers.get("ETag");
+    output.textContent = `${res.status} ${res.statusText}${etag ? `\nETag: ${etag}` : ""}\n\n${body}`;
+  } catch (err) {
+    output.textContent = `Request failed: ${err.message}`;
+  }
+}
+
+function renderOperation(pathTemplate, method, op, sharedParams) {
+  const opId = op.operationId || `${method}-${pathTemplate.replace(/\W+/g, "-")}`;
+  const params = [...sharedParams, ...(op.parameters || [])];
+  const example = op.requestBody?.content?.["application/json"]?.example;
+
+  const form = el("form", { class: "explorer-form" });
+  for (const param of params) form.append(paramInput(opId, param));
+  if (op.requestBody) {
+    const bodyId = `${opId}-body`;
+    form.append(el("div", { class: "explorer-param" }, [
+      el("label", { for: bodyId, class: "form-label", text: "JSON body" }),
+      el("textarea", { id: bodyId, class: "form-control form-control-sm", rows: "8", spellcheck: "false" }),
+    ]));
+    form.querySelector("textarea").value = example !== undefined ? JSON.stringify(example, null, 2) : "{}";
+  }
+  const output = el("pre", { class: "explorer-output", "aria-live": "polite" });
+  form.append(el("button", { type: "submit", class: "btn btn-sm btn-primary", text: "Send" }), output);
+  form.addEventListener("submit", (e) => {
+    e.preventDefault();
+    sendRequest(form, pathTemplate, method, output);
+  });
+
+  const summary = el("summary", {}, [
+    el("span", { class: `explorer-method method-${method}`, text: method.toUpperCase() }),
+    el("code", { text: pathTemplate }),
+    ` ${op.summary || ""}`,
+  ]);
+  const description = op.description ? el("p", { text: op.description }) : null;
+  return el("details", { class: "explorer-op" }, [summary, description, form]);
+}
+
+function renderSpec(spec) {
+  const groups = new Map((spec.tags || []).map((tag) => [tag.name, []]));
+  for (const [pathTemplate, item] of Object.entries(spec.paths || {})) {
+    for (const method of METHODS) {
+      const op = item[method];
+      if (!op) continue;
+      const tag = op.tags?.[0] || "Other";
+      if (!groups.has(tag)) groups.set(tag, []);
+      groups.get(tag).push(renderOperation(pathTemplate, method, op, item.parameters || []));
+    }
+  }
+  operationsEl.replaceChildren();
+  for (const [tag, ops] of groups) {
+    if (!ops.length) continue;
+    const description = (spec.tags || []).find((t) => t.name === tag)?.description;
+    operationsEl.append(el("h2", { text: tag }));
+    if (description) operationsEl.append(el("p", { text: description }));
+    operationsEl.append(...ops);
+  }
+  statusEl.textContent = `${spec.info.title} ${spec.info.version}`;
+}
+
+async function init() {
+  try {
+    const res = await fetch(SPEC_URL, { credentials: "include" });
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    renderSpec(await res.json());
+  } catch (err) {
+    statusEl.textContent = `Could not load the API description: ${err.message}`;
+  }
+}
+
+init();
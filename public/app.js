@@ -1,14 +1,60 @@
+const DEFAULT_QUERY = {
+  project: "",
+  q: "",
+  status: "",
+  priority: "",
+  important: "",
+  deadlineFrom: "",
+  deadlineTo: "",
+  tag: "",
+  assignee: "",
+  sort: "createdAt",
+  order: "desc",
+};
+const PAGE_SIZE = 50;
+
 const state = {
   tasks: [],
   lastSnapshot: [],
-  meta: loadMeta(),
   user: null,
+  query: readQueryFromUrl(),
+  total: 0,
+  nextCursor: null,
+  urgencyWeights: null,
+  lookup: [],
+  tags: [],
+  views: [],
+  projects: [],
+  role: "owner",
+  editBase: null,
+  conflict: null,
+  undoStack: [],
+  redoStack: [],
+  timer: null,
+  analytics: null,
+  selected: new Set(),
+  notifications: [],
+  unreadNotifications: 0,
+  webhooks: [],
+  webhooksProject: null,
+  webhookDeliveriesFor: null,
+  sync: { queue: [], offline: !navigator.onLine, replaying: false, sending: null, savedAt: null },
 };
 
-function api(method, path, body) {
-  const opts = { method, headers: { "Content-Type": "application/json" }, credentials: 'include' };
+// The server's CSRF token, echoed back on every request that changes
+// something. It lives in a cookie the server keeps current.
+function csrfHeaders() {
+  const match = document.cookie.match(/(?:^|;\s*)taskrush\.csrf=([^;]*)/);
+  return match ? { "X-CSRF-Token": decodeURIComponent(match[1]) } : {};
+}
+
+// Resolves to the parsed body, or { data, headers } with withResponse.
+// Errors carry offline: true when the request got no answer at all.
+function api(method, path, body, { withResponse = false, csrfRetried = false } = {}) {
+  const opts = { method, headers: { "Content-Type": "application/json", ...csrfHeaders() }, credentials: 'include' };
   if (body) opts.body = JSON.stringify(body);
   return fetch(path, opts).then(async (res) => {
+    setOffline(false);
     const text = await res.text();
     let parsed;
     try {
@@ -16,51 +62,80 @@ function api(method, path, body) {
     } catch (e) {
       throw new Error("Bad JSON from server");
     }
+    // A stale token (the session changed in another tab, say) comes back
+    // with a fresh cookie, so one retry picks it up.
+    if (res.status === 403 && parsed && parsed.code === "CSRF_FAILED" && !csrfRetried) {
+      return api(method, path, body, { withResponse, csrfRetried: true });
+    }
     if (!res.ok) {
-      throw new Error((parsed && parsed.error) || "Server error");
+      const err = new Error((parsed && parsed.error) || "Server error");
+      err.status = res.status;
+      err.code = parsed && parsed.code;
+      err.body = parsed;
+      throw err;
     }
-    return parsed;
+    return withResponse ? { data: parsed, headers: res.headers } : parsed;
+  }, (cause) => {
+    setOffline(true);
+    const err = new Error("You're offline; this needs a connection");
+    err.offline = true;
+    err.cause = cause;
+    throw err;
   });
 }
 
-function loadMeta() {
+const LEGACY_META_KEY = "taskrush:meta";
+
+// Older builds kept notes/important/status only in this browser. Upload them
+// once so the server can merge them in, then drop the local copy.
+async function migrateLegacyMeta() {
+  let meta;
   try {
-    const raw = localStorage.getItem("taskrush:meta");
-    return raw ? JSON.parse(raw) : Object.create(null);
+    const raw = localStorage.getItem(LEGACY_META_KEY);
+    meta = raw ? JSON.parse(raw) : null;
   } catch (e) {
-    console.warn("Failed to load meta from localStorage", e);
-    return Object.create(null);
+    console.warn("Failed to read legacy meta from localStorage", e);
+    return;
+  }
+  if (!meta || typeof meta !== "object" || Object.keys(meta).length === 0) {
+    localStorage.removeItem(LEGACY_META_KEY);
+    return;
   }
-}
-
-function saveMeta() {
   try {
-    localStorage.setItem("taskrush:meta", JSON.stringify(state.meta));
-  } catch (e) {
-    console.warn("Failed to save meta to localStorage", e);
+    const result = await api("POST", "/api/tasks/migrate-meta", { meta });
+    localStorage.removeItem(LEGACY_META_KEY);
+    if (result.merged) console.info(`Migrated local notes/status for ${result.merged} tasks`);
+  } catch (err) {
+    console.warn("Legacy meta migration failed; will retry next load", err);
   }
 }
 
-function getMetaFor(id) {
-  return state.meta[id] || { notes: "", important: false, status: "active" };
-}
+const CACHED_USER_KEY = "taskrush:user";
 
-function setMetaFor(id, meta) {
-  state.meta[id] = { notes: meta.notes || "", important: !!meta.important, status: meta.status || "active" };
-  saveMeta();
+function cachedUser() {
+  try {
+    return JSON.parse(localStorage.getItem(CACHED_USER_KEY) || "null");
+  } catch (e) {
+    return null;
+  }
 }
 
+// Offline, the last signed-in user stands in so the saved copy can be shown.
 async function fetchUser() {
   try {
     const data = await api("GET", "/auth/me");
     if (data && data.authenticated) {
       state.user = data.user;
+      if (cachedUser()?._id !== data.user._id) await clearOfflineData();
+      localStorage.setItem(CACHED_USER_KEY, JSON.stringify(data.user));
       return true;
     } else {
       state.user = null;
       return false;
     }
   } catch (err) {
+    state.user = err.offline ? cachedUser() : null;
+    if (state.user) return true;
     console.error("auth/me failed", err);
     state.user = null;
     return false;
@@ -69,15 +144,73 @@ async function fetchUser() {
 
 
 
-async function fetchTasks() {
+function readQueryFromUrl() {
+  const params = new URLSearchParams(window.location.search);
+  const query = { ...DEFAULT_QUERY };
+  Object.keys(DEFAULT_QUERY).forEach((key) => {
+    if (params.has(key)) query[key] = params.get(key);
+  });
+  return query;
+}
+
+function syncQueryToUrl() {
+  const params = new URLSearchParams();
+  Object.entries(state.query).forEach(([key, value]) => {
+    if (value && value !== DEFAULT_QUERY[key]) params.set(key, value);
+  });
+  const qs = params.toString();
+  history.replaceState(null, "", qs ? `?${qs}` : window.location.pathname);
+}
+
+function hasActiveFilters() {
+  return ["q", "status", "priority", "important", "deadlineFrom", "deadlineTo", "tag", "assignee"].some((key) => state.query[key]);
+}
+
+async function fetchTasks({ append = false } = {}) {
   try {
-    state.tasks = await api("GET", "/api/tasks");
-    state.tasks = state.tasks.map((t) => {
-      const meta = getMetaFor(t.id);
-      return { ...t, notes: meta.notes, important: meta.important, status: meta.status };
+    const params = new URLSearchParams();
+    Object.entries(state.query).forEach(([key, value]) => {
+      if (value) params.set(key, value);
     });
+    if (append && state.nextCursor) {
+      params.set("cursor", state.nextCursor);
+      params.set("limit", PAGE_SIZE);
+    } else {
+      // Refreshing after an edit keeps however many rows were already loaded.
+      params.set("limit", Math.min(200, Math.max(PAGE_SIZE, state.tasks.length)));
+    }
+
+    const scope = state.query.project ? `?project=${encodeURIComponent(state.query.project)}` : "";
+    const [page, lookup, tags] = await Promise.all([
+      api("GET", `/api/tasks?${params}`),
+      append ? state.lookup : api("GET", `/api/tasks/lookup${scope}`),
+      append ? state.tags : api("GET", "/api/tags"),
+    ]);
+    state.lookup = lookup;
+    state.tags = tags;
+    renderTagControls();
+    if (!document.getElementById("edit-id").value) fillRelationOptions(null);
+    state.tasks = withQueuedChanges(append ? state.tasks.concat(page.tasks) : page.tasks);
+    state.total = page.total;
+    state.nextCursor = page.nextCursor;
+    state.urgencyWeights = page.urgencyWeights;
+    state.role = page.role;
+    state.sync.savedAt = null;
+    renderProjectControls();
     renderTasks();
+    renderSyncStatus();
+    if (!append) {
+      scheduleDashboardRefresh();
+      saveSnapshot(taskSnapshotName(), { tasks: page.tasks, total: page.total, urgencyWeights: page.urgencyWeights, role: page.role, lookup, tags });
+    }
+    if (document.getElementById("webhook-settings")?.open && state.webhooksProject !== state.query.project) fetchWebhooks();
   } catch (err) {
+    if (state.query.project && err.message === "Project not found") {
+      // Removed from the project (or it was deleted) since the URL was saved.
+      applyQuery({ project: "" });
+      return;
+    }
+    if (err.offline && !append && (await showSavedTasks())) return;
     showError("Failed to load tasks: " + err.message);
   }
 }
@@ -85,11 +218,14 @@ async function fetchTasks() {
 function renderTasks() {
   const tbody = document.getElementById("tasks-body");
   tbody.innerHTML = "";
+  renderListControls();
+  renderBoard();
+  renderBulkBar();
 
   if (!state.tasks || state.tasks.length === 0) {
     const tr = document.createElement("tr");
-    tr.innerHTML =
-      '<td colspan="9" class="text-center py-4">No tasks yet. Add your first task above!</td>';
+    const message = hasActiveFilters() ? "No tasks match the current filters." : "No tasks yet. Add your first task above!";
+    tr.innerHTML = `<td colspan="12" class="text-center py-4">${message}</td>`;
     tbody.appendChild(tr);
     return;
   }
@@ -97,182 +233,2905 @@ function renderTasks() {
   state.tasks.forEach((t) => {
     const tr = document.createElement("tr");
     tr.classList.add(`priority-${t.priority}`);
-    const deadline = t.deadline || "No deadline";
+    if (t.blocked) tr.classList.add("task-blocked");
+    if (t.pending) tr.classList.add("task-pending");
+    const deadline = formatDeadline(t) || "No deadline";
     const notes = escapeHTML(t.notes || "");
     const important = t.important ? "Yes" : "No";
     const status = escapeHTML(t.status || "active");
 
     tr.innerHTML = `
-      <td>${escapeHTML(t.title)}</td>
+      <td>${canEditTasks() && !isLocalId(t.id) ? `<input type="checkbox" class="form-check-input row-select" data-id="${t.id}" aria-label="Select ${escapeHTML(t.title)}"${state.selected.has(t.id) ? " checked" : ""} />` : ""}</td>
+      <td>${escapeHTML(t.title)}${t.pending ? ' <span class="badge bg-warning text-dark" title="Changed on this device; not synced yet">Not synced</span>' : ""}${renderRelations(t)}${renderTagChips(t.tags)}</td>
       <td><span class="badge bg-secondary text-uppercase">${escapeHTML(t.priority)}</span></td>
       <td>${t.estimateHrs}</td>
-      <td>${deadline}</td>
-      <td>${t.urgencyScore}</td>
+      <td>${renderTimeCell(t)}</td>
+      <td title="${escapeHTML(t.reminders?.length ? `Reminders: ${describeReminders(t.reminders)}` : "")}">${deadline}</td>
+      <td title="${escapeHTML(explainUrgency(t))}">${t.urgencyScore}</td>
       <td title="${notes}">${notes ? (notes.length > 50 ? notes.slice(0, 47) + "…" : notes) : ""}</td>
       <td>${important}</td>
       <td>${status}</td>
-      <td class="actions-cell">
+      <td>${t.assignee ? escapeHTML(t.assignee.username || "(deleted user)") : ""}</td>
+      <td class="actions-cell">${canEditTasks() ? `
+        ${isLocalId(t.id) ? "" : `<button class="btn btn-sm btn-outline-secondary me-1" data-action="timer" data-id="${t.id}">${state.timer?.task?.id === t.id ? "Stop" : "Start"} timer</button>`}
         <button class="btn btn-sm btn-outline-primary me-1" data-action="edit" data-id="${t.id}">Edit</button>
         <button class="btn btn-sm btn-outline-danger" data-action="delete" data-id="${t.id}">Delete</button>
-      </td>
+      ` : ""}</td>
     `;
     tbody.appendChild(tr);
   });
+  colorTagChips(tbody);
 }
 
-document.getElementById("tasks-body")?.addEventListener("click", (e) => {
-  const btn = e.target.closest("button");
-  if (!btn) return;
-  const id = btn.dataset.id;
-  if (btn.dataset.action === "delete") handleDelete(id);
-  if (btn.dataset.action === "edit") enterEditMode(id);
-});
+const WEEKDAY_NAMES = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
 
-function enterEditMode(id) {
-  const task = state.tasks.find((t) => t.id === id);
-  if (!task) return;
-  document.getElementById("title").value = task.title;
-  document.getElementById("priority").value = task.priority;
-  document.getElementById("estimateHrs").value = task.estimateHrs;
-  document.getElementById("deadline").value = task.deadline || "";
-  document.getElementById("notes").value = task.notes || "";
-  document.getElementById("important").checked = !!task.important;
-  const status = task.status || "active";
-  document.getElementById("status-active").checked = status === "active";
-  document.getElementById("status-backlog").checked = status === "backlog";
-  document.getElementById("status-done").checked = status === "done";
+function describeRecurrence(r) {
+  if (!r) return "";
+  let text;
+  if (r.type === "daily") text = "Repeats daily";
+  else if (r.type === "weekly") text = "Repeats weekly on " + r.weekdays.map((d) => WEEKDAY_NAMES[d]).join(", ");
+  else if (r.type === "monthly") text = `Repeats monthly on day ${r.monthDay}`;
+  else text = `Repeats every ${r.everyDays} days`;
+  return r.until ? `${text} until ${r.until}` : text;
+}
 
-  document.getElementById("edit-id").value = task.id;
-  document.getElementById("form-mode-label").textContent = "Edit Task";
-  document.getElementById("submit-btn").textContent = "Save";
-  document.getElementById("cancel-edit").classList.remove("d-none");
+function showRecurrenceInputs(type) {
+  document.getElementById("recurrence-weekdays")?.classList.toggle("d-none", type !== "weekly");
+  document.getElementById("recurrence-monthday")?.classList.toggle("d-none", type !== "monthly");
+  document.getElementById("recurrence-interval")?.classList.toggle("d-none", type !== "interval");
+  document.getElementById("recurrence-until-wrap")?.classList.toggle("d-none", !type);
+}
 
-  document.getElementById("entry-section").scrollIntoView({ behavior: "smooth" });
+function fillRecurrenceInputs(r) {
+  document.getElementById("recurrence-type").value = r ? r.type : "";
+  document.querySelectorAll("#recurrence-weekdays input").forEach((box) => {
+    box.checked = !!r?.weekdays?.includes(Number(box.value));
+  });
+  document.getElementById("recurrence-monthDay").value = r?.monthDay || "";
+  document.getElementById("recurrence-everyDays").value = r?.everyDays || "";
+  document.getElementById("recurrence-until").value = r?.until || "";
+  showRecurrenceInputs(r ? r.type : "");
 }
 
-document.getElementById("cancel-edit")?.addEventListener("click", resetForm);
+function readRecurrenceInputs() {
+  const type = document.getElementById("recurrence-type")?.value;
+  if (!type) return null;
+  const rule = { type, until: document.getElementById("recurrence-until").value || null };
+  if (type === "weekly") {
+    rule.weekdays = Array.from(document.querySelectorAll("#recurrence-weekdays input:checked"), (box) => Number(box.value));
+  }
+  if (type === "monthly") rule.monthDay = Number(document.getElementById("recurrence-monthDay").value);
+  if (type === "interval") rule.everyDays = Number(document.getElementById("recurrence-everyDays").value);
+  return rule;
+}
 
-function resetForm() {
-  document.getElementById("task-form").reset();
-  document.getElementById("edit-id").value = "";
-  document.getElementById("form-mode-label").textContent = "Add Task";
-  document.getElementById("submit-btn").textContent = "Add";
-  document.getElementById("cancel-edit").classList.add("d-none");
-  document.getElementById("status-active").checked = true;
+document.getElementById("recurrence-type")?.addEventListener("change", (e) => showRecurrenceInputs(e.target.value));
+
+function renderTagChips(tags) {
+  if (!tags || !tags.length) return "";
+  return `<span class="d-block">${tags.map((tag) => `<button type="button" class="tag-chip" data-tag="${escapeHTML(tag)}" title="Show tasks tagged ${escapeHTML(tag)}">${escapeHTML(tag)}</button>`).join("")}</span>`;
 }
 
-document.getElementById("task-form")?.addEventListener("submit", async (e) => {
-  e.preventDefault();
-  const data = {
-    title: document.getElementById("title").value.trim(),
-    priority: document.getElementById("priority").value,
-    estimateHrs: Number(document.getElementById("estimateHrs").value),
-    deadline: document.getElementById("deadline").value || null,
-  };
+function readableTextColor(hex) {
+  const n = parseInt(hex.slice(1), 16);
+  const luminance = (0.299 * (n >> 16) + 0.587 * ((n >> 8) & 255) + 0.114 * (n & 255)) / 255;
+  return luminance > 0.6 ? "#111" : "#fff";
+}
 
-  const notes = document.getElementById("notes")?.value || "";
-  const important = !!document.getElementById("important")?.checked;
-  const status = document.querySelector('input[name="status"]:checked')?.value || "active";
+// Colors are applied through the DOM rather than inline style attributes.
+function colorTagChips(root) {
+  const colors = new Map(state.tags.map((tag) => [tag.name, tag.color]));
+  root.querySelectorAll(".tag-chip[data-tag]").forEach((chip) => {
+    const color = colors.get(chip.dataset.tag);
+    if (!color) return;
+    chip.style.backgroundColor = color;
+    chip.style.color = readableTextColor(color);
+  });
+}
 
-  const editingId = document.getElementById("edit-id").value;
-  state.lastSnapshot = JSON.parse(JSON.stringify(state.tasks));
+function renderTagControls() {
+  const datalist = document.getElementById("tag-options");
+  if (datalist) {
+    datalist.innerHTML = "";
+    state.tags.forEach((tag) => datalist.appendChild(new Option(tag.name, tag.name)));
+  }
+
+  const filter = document.getElementById("filter-tag");
+  if (filter) {
+    filter.innerHTML = '<option value="">Any</option>';
+    const names = state.tags.map((tag) => tag.name);
+    if (state.query.tag && !names.includes(state.query.tag)) names.push(state.query.tag);
+    names.forEach((name) => filter.add(new Option(name, name, false, name === state.query.tag)));
+  }
+
+  const list = document.getElementById("tag-list");
+  if (!list) return;
+  list.innerHTML = "";
+  if (!state.tags.length) {
+    list.textContent = "No tags yet. Add some to a task above.";
+    return;
+  }
+  state.tags.forEach((tag) => {
+    const li = document.createElement("li");
+    li.dataset.tag = tag.name;
+    li.innerHTML = `
+      <span class="tag-chip" data-tag="${escapeHTML(tag.name)}">${escapeHTML(tag.name)}</span>
+      <span class="small">${tag.count} task${tag.count === 1 ? "" : "s"}</span>
+      <input type="color" aria-label="Color for ${escapeHTML(tag.name)}" value="${tag.color || "#6c8ebf"}" data-tag-action="color" />
+      <input type="text" class="form-control form-control-sm w-auto" aria-label="New name for ${escapeHTML(tag.name)}" placeholder="rename to…" data-tag-action="name" />
+      <button type="button" class="btn btn-outline-light btn-sm" data-tag-action="rename">Rename</button>
+      <button type="button" class="btn btn-outline-danger btn-sm" data-tag-action="delete">Remove</button>
+    `;
+    list.appendChild(li);
+  });
+  colorTagChips(list);
+}
 
+async function updateTag(name, changes) {
   try {
     hideError();
-    if (editingId) {
-      const res = await api("PUT", `/api/tasks/${editingId}`, { ...data, notes, important, status });
-      state.tasks = res.map((t) => {
-        const meta = getMetaFor(t.id);
-        return { ...t, notes: meta.notes, important: meta.important, status: meta.status };
-      });
-      setMetaFor(editingId, { notes, important, status });
-    } else {
-      const res = await api("POST", "/api/tasks", { ...data, notes, important, status });
-      state.tasks = res.map((t) => {
-        const meta = getMetaFor(t.id);
-        return { ...t, notes: meta.notes, important: meta.important, status: meta.status };
-      });
-      const previousIds = new Set(state.lastSnapshot.map(t => t.id));
-      let newTask = state.tasks.find(t => !previousIds.has(t.id));
-
-      if (newTask) {
-        setMetaFor(newTask.id, { notes, important, status });
-        newTask.notes = notes;
-        newTask.important = important;
-        newTask.status = status;
-      } else if (state.tasks.length > 0) {
-        newTask = state.tasks[0];
-        setMetaFor(newTask.id, { notes, important, status });
-        newTask.notes = notes;
-        newTask.important = important;
-        newTask.status = status;
-      }
-    }
-
-    resetForm();
+    await api("PUT", `/api/tags/${encodeURIComponent(name)}`, changes);
+    if (changes.name && state.query.tag === name) state.query.tag = changes.name;
     await fetchTasks();
-    document.getElementById("results-section").scrollIntoView({ behavior: "smooth" });
   } catch (err) {
-    state.tasks = state.lastSnapshot;
-    renderTasks();
     showError(err.message);
   }
+}
+
+document.getElementById("tag-list")?.addEventListener("change", (e) => {
+  if (e.target.dataset.tagAction !== "color") return;
+  updateTag(e.target.closest("li").dataset.tag, { color: e.target.value });
 });
 
-async function handleDelete(id) {
-  if (!confirm("Are you sure you want to delete this task?")) return;
-  state.lastSnapshot = JSON.parse(JSON.stringify(state.tasks));
+document.getElementById("tag-list")?.addEventListener("click", async (e) => {
+  const action = e.target.dataset.tagAction;
+  const li = e.target.closest("li");
+  if (!li || !["rename", "delete"].includes(action)) return;
+  const name = li.dataset.tag;
+  if (action === "rename") {
+    const newName = li.querySelector('[data-tag-action="name"]').value.trim();
+    if (newName) updateTag(name, { name: newName });
+    return;
+  }
+  if (!confirm(`Remove the tag "${name}" from every task?`)) return;
   try {
     hideError();
-    await api("DELETE", `/api/tasks/${id}`);
-    if (state.meta[id]) {
-      delete state.meta[id];
-      saveMeta();
-    }
-    await fetchTasks();
+    await api("DELETE", `/api/tags/${encodeURIComponent(name)}`);
+    if (state.query.tag === name) applyQuery({ tag: "" });
+    else await fetchTasks();
   } catch (err) {
-    state.tasks = state.lastSnapshot;
-    renderTasks();
     showError(err.message);
   }
+});
+
+function renderViews() {
+  const select = document.getElementById("view-select");
+  if (!select) return;
+  const current = select.value;
+  select.innerHTML = '<option value="">Choose a view…</option>';
+  state.views.forEach((view) => select.add(new Option(view.name, view.id, false, view.id === current)));
+  document.getElementById("view-delete").disabled = !select.value;
 }
 
-function escapeHTML(str) {
-  if (!str) return "";
-  return String(str).replace(/[&<>"']/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" }[c]));
+async function fetchViews() {
+  try {
+    state.views = await api("GET", "/api/views");
+    renderViews();
+  } catch (err) {
+    if (!err.offline) showError("Failed to load saved views: " + err.message);
+  }
 }
 
-function showError(msg) {
-  const container = document.getElementById("error-container");
-  container.innerHTML = `<div class="alert alert-danger" role="alert">${escapeHTML(msg)}</div>`;
-  container.scrollIntoView({ behavior: "smooth" });
+document.getElementById("view-select")?.addEventListener("change", (e) => {
+  document.getElementById("view-delete").disabled = !e.target.value;
+  const view = state.views.find((v) => v.id === e.target.value);
+  if (!view) return;
+  applyQuery({ ...DEFAULT_QUERY, ...view.query });
+  fillFilterForm();
+});
+
+document.getElementById("view-save")?.addEventListener("click", async () => {
+  const name = prompt("Name for this view:");
+  if (!name || !name.trim()) return;
+  const query = {};
+  Object.entries(state.query).forEach(([key, value]) => {
+    if (value) query[key] = value;
+  });
+  try {
+    hideError();
+    const view = await api("POST", "/api/views", { name: name.trim(), query });
+    state.views.push(view);
+    state.views.sort((a, b) => a.name.localeCompare(b.name));
+    document.getElementById("view-select").value = view.id;
+    renderViews();
+  } catch (err) {
+    showError(err.message);
+  }
+});
+
+document.getElementById("view-delete")?.addEventListener("click", async () => {
+  const select = document.getElementById("view-select");
+  const view = state.views.find((v) => v.id === select.value);
+  if (!view || !confirm(`Delete the saved view "${view.name}"?`)) return;
+  try {
+    hideError();
+    await api("DELETE", `/api/views/${view.id}`);
+    state.views = state.views.filter((v) => v.id !== view.id);
+    select.value = "";
+    renderViews();
+  } catch (err) {
+    showError(err.message);
+  }
+});
+
+function currentProject() {
+  return state.projects.find((p) => p.id === state.query.project) || null;
 }
 
-function hideError() {
-  const container = document.getElementById("error-container");
-  container.innerHTML = "";
+function canEditTasks() {
+  return state.role !== "viewer";
 }
 
-document.getElementById("logout-btn")?.addEventListener("click", async (e) => {
+// Personal tasks can only be assigned to yourself; project tasks to members.
+function assigneeChoices() {
+  const project = currentProject();
+  if (project) return project.members.map((m) => ({ id: m.userId, username: m.username }));
+  return state.user ? [{ id: state.user._id, username: state.user.username }] : [];
+}
+
+function fillAssigneeOptions(selectedId) {
+  const select = document.getElementById("assigneeId");
+  if (!select) return;
+  select.innerHTML = '<option value="">Unassigned</option>';
+  assigneeChoices().forEach((u) => select.add(new Option(u.username, u.id, false, u.id === selectedId)));
+}
+
+function renderProjectControls() {
+  const select = document.getElementById("project-select");
+  if (select) {
+    select.innerHTML = '<option value="">Personal tasks</option>';
+    state.projects.forEach((p) => select.add(new Option(p.name, p.id, false, p.id === state.query.project)));
+  }
+
+  const project = currentProject();
+  const role = document.getElementById("project-role");
+  if (role) role.textContent = !project ? "" : project.role === "viewer" ? "View only" : `Your role: ${project.role}`;
+
+  const filter = document.getElementById("filter-assignee");
+  if (filter) {
+    filter.innerHTML = '<option value="">Anyone</option><option value="me">Me</option><option value="none">Unassigned</option>';
+    if (project) project.members.forEach((m) => filter.add(new Option(m.username, m.userId)));
+    filter.value = state.query.assignee;
+  }
+
+  document.getElementById("entry-section")?.classList.toggle("d-none", !canEditTasks());
+  document.getElementById("import-form")?.classList.toggle("d-none", !canEditTasks());
+  if (!document.getElementById("edit-id").value) fillAssigneeOptions("");
+
+  const panel = document.getElementById("project-members");
+  if (!panel) return;
+  panel.classList.toggle("d-none", !project);
+  if (!project) return;
+  const isOwner = project.role === "owner";
+  document.getElementById("member-form").classList.toggle("d-none", !isOwner);
+  document.getElementById("project-rename").classList.toggle("d-none", !isOwner);
+  document.getElementById("project-delete").classList.toggle("d-none", !isOwner);
+
+  const list = document.getElementById("member-list");
+  list.innerHTML = "";
+  project.members.forEach((m) => {
+    const li = document.createElement("li");
+    li.className = "d-flex flex-wrap gap-2 align-items-center mb-1";
+    li.dataset.userId = m.userId;
+    const self = m.userId === state.user?._id;
+    const roles = ["owner", "editor", "viewer"]
+      .map((r) => `<option value="${r}"${r === m.role ? " selected" : ""}>${r}</option>`)
+      .join("");
+    li.innerHTML = `
+      <span>${escapeHTML(m.username || "(deleted user)")}${self ? " (you)" : ""}</span>
+      <select class="form-select form-select-sm w-auto" aria-label="Role for ${escapeHTML(m.username)}" data-member-action="role"${isOwner ? "" : " disabled"}>${roles}</select>
+      ${isOwner && !self ? '<button type="button" class="btn btn-outline-danger btn-sm" data-member-action="remove">Remove</button>' : ""}
+    `;
+    list.appendChild(li);
+  });
+}
+
+async function fetchProjects() {
+  try {
+    state.projects = await api("GET", "/api/projects");
+    renderProjectControls();
+    saveSnapshot("projects", { projects: state.projects });
+  } catch (err) {
+    const snapshot = err.offline && (await loadSnapshot("projects"));
+    if (snapshot) {
+      state.projects = snapshot.projects;
+      renderProjectControls();
+      return;
+    }
+    showError("Failed to load projects: " + err.message);
+  }
+}
+
+// Replaces one project in state with the server's copy after a change.
+function storeProject(project) {
+  state.projects = state.projects.map((p) => (p.id === project.id ? project : p));
+  renderProjectControls();
+}
+
+document.getElementById("project-select")?.addEventListener("change", (e) => {
+  resetForm();
+  applyQuery({ ...DEFAULT_QUERY, project: e.target.value, sort: state.query.sort, order: state.query.order });
+  fillFilterForm();
+});
+
+document.getElementById("project-new")?.addEventListener("click", async () => {
+  const name = prompt("Name for the new project:");
+  if (!name || !name.trim()) return;
+  try {
+    hideError();
+    const project = await api("POST", "/api/projects", { name: name.trim() });
+    state.projects.push(project);
+    state.projects.sort((a, b) => a.name.localeCompare(b.name));
+    applyQuery({ ...DEFAULT_QUERY, project: project.id });
+    fillFilterForm();
+  } catch (err) {
+    showError(err.message);
+  }
+});
+
+document.getElementById("member-form")?.addEventListener("submit", async (e) => {
   e.preventDefault();
+  const project = currentProject();
+  if (!project) return;
   try {
-    await api("POST", "/auth/logout");
+    hideError();
+    storeProject(await api("POST", `/api/projects/${project.id}/members`, {
+      username: document.getElementById("member-username").value.trim(),
+      role: document.getElementById("member-role").value,
+    }));
+    e.target.reset();
   } catch (err) {
-  } finally {
-    window.location.reload();
+    showError(err.message);
   }
 });
 
-(async function init() {
-  let authed = false;
-  for (let i = 0; i < 5; i++) {
-    authed = await fetchUser();
-    if (authed) break;
-    await new Promise(resolve => setTimeout(resolve, 100));
+document.getElementById("member-list")?.addEventListener("change", async (e) => {
+  if (e.target.dataset.memberAction !== "role") return;
+  const project = currentProject();
+  const userId = e.target.closest("li").dataset.userId;
+  try {
+    hideError();
+    storeProject(await api("PUT", `/api/projects/${project.id}/members/${userId}`, { role: e.target.value }));
+    if (userId === state.user?._id) await fetchTasks();
+  } catch (err) {
+    renderProjectControls();
+    showError(err.message);
   }
+});
 
-  if (!authed) {
-    return;
+document.getElementById("member-list")?.addEventListener("click", async (e) => {
+  if (e.target.dataset.memberAction !== "remove") return;
+  const project = currentProject();
+  const li = e.target.closest("li");
+  if (!confirm("Remove this member? Their tasks in the project become unassigned.")) return;
+  try {
+    hideError();
+    storeProject(await api("DELETE", `/api/projects/${project.id}/members/${li.dataset.userId}`));
+    await fetchTasks();
+  } catch (err) {
+    showError(err.message);
   }
-  await fetchTasks();
+});
+
+document.getElementById("project-rename")?.addEventListener("click", async () => {
+  const project = currentProject();
+  const name = project && prompt("New project name:", project.name);
+  if (!name || !name.trim()) return;
+  try {
+    hideError();
+    storeProject(await api("PUT", `/api/projects/${project.id}`, { name: name.trim() }));
+  } catch (err) {
+    showError(err.message);
+  }
+});
+
+document.getElementById("project-leave")?.addEventListener("click", async () => {
+  const project = currentProject();
+  if (!project || !confirm(`Leave "${project.name}"? You will lose access to its tasks.`)) return;
+  try {
+    hideError();
+    await api("DELETE", `/api/projects/${project.id}/members/${state.user._id}`);
+    state.projects = state.projects.filter((p) => p.id !== project.id);
+    applyQuery({ ...DEFAULT_QUERY });
+    fillFilterForm();
+  } catch (err) {
+    showError(err.message);
+  }
+});
+
+document.getElementById("project-delete")?.addEventListener("click", async () => {
+  const project = currentProject();
+  if (!project || !confirm(`Delete the project "${project.name}"?`)) return;
+  let query = "";
+  if (state.total) {
+    const deleteTasks = confirm(
+      `The project has ${state.total} task(s). Delete them too?\n\nOK deletes them, Cancel moves them into your personal tasks.`,
+    );
+    query = `?tasks=${deleteTasks ? "delete" : "detach"}`;
+  }
+  try {
+    hideError();
+    await api("DELETE", `/api/projects/${project.id}${query}`);
+    state.projects = state.projects.filter((p) => p.id !== project.id);
+    applyQuery({ ...DEFAULT_QUERY });
+    fillFilterForm();
+  } catch (err) {
+    showError(err.message);
+  }
+});
+
+function lookupTitle(id) {
+  return state.lookup.find((x) => x.id === id)?.title || "(unknown task)";
+}
+
+function renderRelations(t) {
+  const parts = [];
+  if (t.recurrence) parts.push(`<span class="task-meta">↻ ${escapeHTML(describeRecurrence(t.recurrence))}</span>`);
+  if (t.parentId) parts.push(`<span class="task-meta">Subtask of ${escapeHTML(lookupTitle(t.parentId))}</span>`);
+  if (t.subtaskCount) {
+    parts.push(`<span class="task-meta">${t.subtaskCount} subtask${t.subtaskCount === 1 ? "" : "s"} · ${t.rollupEstimateHrs}h total</span>`);
+  }
+  if (t.blocked) {
+    const names = t.openBlockers.map((id) => escapeHTML(lookupTitle(id))).join(", ");
+    parts.push(`<span class="badge blocked-badge" title="Blocked by: ${names}">Blocked by ${names}</span>`);
+  }
+  return parts.join("");
+}
+
+function fillRelationOptions(task) {
+  const parentSelect = document.getElementById("parentId");
+  const blockedSelect = document.getElementById("blockedBy");
+  if (!parentSelect || !blockedSelect) return;
+  const others = state.lookup.filter((x) => !task || x.id !== task.id);
+
+  parentSelect.innerHTML = '<option value="">None (top-level)</option>';
+  blockedSelect.innerHTML = "";
+  others.forEach((x) => {
+    parentSelect.add(new Option(x.title, x.id, false, task?.parentId === x.id));
+    const label = x.status === "done" ? `${x.title} (done)` : x.title;
+    blockedSelect.add(new Option(label, x.id, false, !!task?.blockedBy?.includes(x.id)));
+  });
+}
+
+function explainUrgency(t) {
+  const u = t.urgency;
+  if (!u) return "";
+  if (t.status === "done") return "Done tasks have no urgency";
+  const parts = [`${t.priority} priority weight ${u.base}`];
+  if (u.importantMultiplier !== 1) parts.push(`important ×${u.importantMultiplier}`);
+  if (u.hoursLeft === null) {
+    parts.push("no deadline");
+  } else if (u.overdueDays > 0) {
+    parts.push(`overdue by ${u.overdueDays} days, time pressure ×${u.timeFactor}`);
+  } else {
+    parts.push(`${u.hoursLeft}h left minus ${u.workHours}h of work, time pressure ×${u.timeFactor}`);
+  }
+  return parts.join("; ") + ` = ${u.score}`;
+}
+
+function renderListControls() {
+  document.querySelectorAll("#tasks-table th[data-sort]").forEach((th) => {
+    if (th.dataset.sort === state.query.sort) {
+      th.setAttribute("aria-sort", state.query.order === "asc" ? "ascending" : "descending");
+    } else {
+      th.removeAttribute("aria-sort");
+    }
+  });
+
+  const summary = document.getElementById("tasks-summary");
+  if (summary) summary.textContent = state.total ? `Showing ${state.tasks.length} of ${state.total} tasks` : "";
+
+  document.getElementById("load-more")?.classList.toggle("d-none", !state.nextCursor);
+}
+
+function fillFilterForm() {
+  Object.keys(DEFAULT_QUERY).forEach((key) => {
+    const input = document.getElementById(`filter-${key}`);
+    if (input) input.value = state.query[key];
+  });
+}
+
+function applyQuery(changes) {
+  state.query = { ...state.query, ...changes };
+  state.tasks = [];
+  state.nextCursor = null;
+  syncQueryToUrl();
+  updateExportLinks();
+  return fetchTasks();
+}
+
+function updateExportLinks() {
+  const params = new URLSearchParams();
+  Object.entries(state.query).forEach(([key, value]) => {
+    if (value) params.set(key, value);
+  });
+  document.querySelectorAll("#export-links a[data-format]").forEach((link) => {
+    params.set("format", link.dataset.format);
+    link.href = `/api/tasks/export?${params}`;
+  });
+}
+
+function importFormatFor(file) {
+  const ext = file.name.split(".").pop().toLowerCase();
+  if (ext === "csv" || file.type === "text/csv") return "csv";
+  if (ext === "ics" || file.type === "text/calendar") return "ics";
+  return "json";
+}
+
+async function runImport(dryRun) {
+  const file = document.getElementById("import-file").files[0];
+  if (!file) return null;
+  const format = importFormatFor(file);
+  const params = new URLSearchParams({ format, dryRun: String(dryRun) });
+  if (state.query.project) params.set("project", state.query.project);
+  if (document.getElementById("import-allow-duplicates").checked) params.set("duplicates", "allow");
+  const contentType = { json: "application/json", csv: "text/csv", ics: "text/calendar" }[format];
+  const res = await fetch(`/api/tasks/import?${params}`, {
+    method: "POST",
+    headers: { "Content-Type": contentType, ...csrfHeaders() },
+    credentials: "include",
+    body: await file.text(),
+  });
+  const data = await res.json().catch(() => null);
+  if (!res.ok) throw new Error((data && data.error) || "Import failed");
+  return data;
+}
+
+function renderImportResults(result) {
+  const container = document.getElementById("import-results");
+  const { summary } = result;
+  const counts = Object.entries(summary).map(([status, n]) => `${n} ${status}`).join(", ") || "no rows";
+  const problems = result.rows.filter((r) => r.status === "error" || r.status === "duplicate");
+  container.innerHTML = `
+    <p class="mb-1">${result.dryRun ? "Preview" : "Imported"}: ${escapeHTML(counts)}</p>
+    ${problems.length ? `<ul class="small mb-0">${problems.map((r) => `
+      <li>Row ${r.row}${r.title ? ` (${escapeHTML(r.title)})` : ""}: ${r.status === "duplicate" ? "already exists, skipped" : escapeHTML(r.error)}</li>`).join("")}
+    </ul>` : ""}
+  `;
+}
+
+document.getElementById("import-form")?.addEventListener("submit", async (e) => {
+  e.preventDefault();
+  const confirmBtn = document.getElementById("import-confirm");
+  confirmBtn.disabled = true;
+  try {
+    hideError();
+    const result = await runImport(true);
+    if (!result) return;
+    renderImportResults(result);
+    confirmBtn.disabled = !result.summary.valid;
+  } catch (err) {
+    showError(err.message);
+  }
+});
+
+document.getElementById("import-file")?.addEventListener("change", () => {
+  document.getElementById("import-confirm").disabled = true;
+  document.getElementById("import-results").innerHTML = "";
+});
+
+document.getElementById("import-confirm")?.addEventListener("click", async (e) => {
+  e.target.disabled = true;
+  try {
+    hideError();
+    const result = await runImport(false);
+    if (!result) return;
+    renderImportResults(result);
+    await fetchTasks();
+  } catch (err) {
+    showError(err.message);
+  }
+});
+
+let searchTimer = null;
+document.getElementById("filter-form")?.addEventListener("input", (e) => {
+  const key = e.target.name;
+  if (!key || !(key in DEFAULT_QUERY)) return;
+  const value = e.target.value;
+  clearTimeout(searchTimer);
+  searchTimer = setTimeout(() => applyQuery({ [key]: value }), key === "q" ? 300 : 0);
+});
+
+document.getElementById("filter-form")?.addEventListener("submit", (e) => e.preventDefault());
+
+document.getElementById("filter-form")?.addEventListener("reset", () => {
+  clearTimeout(searchTimer);
+  const { sort, order, project } = state.query;
+  setTimeout(() => applyQuery({ ...DEFAULT_QUERY, sort, order, project }), 0);
+});
+
+document.querySelector("#tasks-table thead")?.addEventListener("click", (e) => {
+  const th = e.target.closest("th[data-sort]");
+  if (!th) return;
+  const sort = th.dataset.sort;
+  let order = sort === "deadline" ? "asc" : "desc";
+  if (state.query.sort === sort) order = state.query.order === "asc" ? "desc" : "asc";
+  applyQuery({ sort, order });
+});
+
+document.getElementById("load-more")?.addEventListener("click", () => fetchTasks({ append: true }));
+
+function fillUrgencyForm(weights) {
+  if (!weights) return;
+  Object.entries(weights.priority).forEach(([level, value]) => {
+    const input = document.getElementById(`weight-${level}`);
+    if (input) input.value = value;
+  });
+  ["important", "remainingWork", "overdue"].forEach((key) => {
+    const input = document.getElementById(`weight-${key}`);
+    if (input) input.value = weights[key];
+  });
+}
+
+async function saveUrgencyWeights(body) {
+  try {
+    hideError();
+    const data = await api("PUT", "/api/settings/urgency", body);
+    fillUrgencyForm(data.weights);
+    await fetchTasks();
+  } catch (err) {
+    showError(err.message);
+  }
+}
+
+document.getElementById("urgency-settings")?.addEventListener("toggle", (e) => {
+  if (e.target.open) fillUrgencyForm(state.urgencyWeights);
+});
+
+document.getElementById("urgency-form")?.addEventListener("submit", (e) => {
+  e.preventDefault();
+  const value = (key) => Number(document.getElementById(`weight-${key}`).value);
+  saveUrgencyWeights({
+    priority: { low: value("low"), medium: value("medium"), high: value("high"), critical: value("critical") },
+    important: value("important"),
+    remainingWork: value("remainingWork"),
+    overdue: value("overdue"),
+  });
+});
+
+document.getElementById("urgency-reset")?.addEventListener("click", () => saveUrgencyWeights({ reset: true }));
+
+function fillNotificationForm(settings) {
+  document.getElementById("notify-timezone").value = settings.timezone;
+  document.getElementById("notify-email").value = settings.email;
+  document.getElementById("notify-emailReminders").checked = settings.emailReminders;
+  document.getElementById("notify-email-note").textContent = settings.emailAvailable
+    ? ""
+    : "Email delivery isn't set up on this server, so reminders only show up here.";
+}
+
+document.getElementById("notification-settings")?.addEventListener("toggle", async (e) => {
+  if (!e.target.open) return;
+  const options = document.getElementById("timezone-options");
+  if (options && !options.children.length && Intl.supportedValuesOf) {
+    Intl.supportedValuesOf("timeZone").forEach((zone) => options.appendChild(new Option(zone, zone)));
+  }
+  try {
+    fillNotificationForm(await api("GET", "/api/settings/notifications"));
+  } catch (err) {
+    showError(err.message);
+  }
+});
+
+document.getElementById("notification-form")?.addEventListener("submit", async (e) => {
+  e.preventDefault();
+  try {
+    hideError();
+    fillNotificationForm(await api("PUT", "/api/settings/notifications", {
+      timezone: document.getElementById("notify-timezone").value.trim(),
+      email: document.getElementById("notify-email").value.trim(),
+      emailReminders: document.getElementById("notify-emailReminders").checked,
+    }));
+    showToast("Notification settings saved.", { undo: false });
+  } catch (err) {
+    showError(err.message);
+  }
+});
+
+// Webhooks of the current list. Only its owner can see or change them.
+async function fetchWebhooks() {
+  const list = document.getElementById("webhook-list");
+  const form = document.getElementById("webhook-form");
+  if (!list || !form) return;
+  document.getElementById("webhook-deliveries").classList.add("d-none");
+  document.getElementById("webhook-secret").classList.add("d-none");
+  state.webhookDeliveriesFor = null;
+  state.webhooksProject = state.query.project;
+  form.classList.toggle("d-none", state.role !== "owner");
+  if (state.role !== "owner") {
+    list.innerHTML = "<li>Only the project owner can manage webhooks.</li>";
+    return;
+  }
+  try {
+    const params = state.query.project ? `?project=${encodeURIComponent(state.query.project)}` : "";
+    const data = await api("GET", `/api/webhooks${params}`);
+    state.webhooks = data.webhooks;
+    renderWebhooks();
+  } catch (err) {
+    showError(err.message);
+  }
+}
+
+function renderWebhooks() {
+  const list = document.getElementById("webhook-list");
+  list.innerHTML = "";
+  if (!state.webhooks.length) list.innerHTML = "<li>No webhooks yet.</li>";
+  state.webhooks.forEach((hook) => {
+    const li = document.createElement("li");
+    li.className = "mb-2";
+    li.innerHTML = `
+      <code>${escapeHTML(hook.url)}</code>${hook.active ? "" : ' <span class="badge bg-secondary">Disabled</span>'}
+      ${hook.description ? `<span class="d-block small">${escapeHTML(hook.description)}</span>` : ""}
+      <span class="d-block small">${hook.events.map(escapeHTML).join(", ")}</span>
+      <span class="d-flex flex-wrap gap-2 mt-1">
+        <button type="button" class="btn btn-sm btn-outline-light" data-action="test" data-id="${hook.id}">Send test event</button>
+        <button type="button" class="btn btn-sm btn-outline-light" data-action="deliveries" data-id="${hook.id}">Deliveries</button>
+        <button type="button" class="btn btn-sm btn-outline-light" data-action="toggle" data-id="${hook.id}">${hook.active ? "Disable" : "Enable"}</button>
+        <button type="button" class="btn btn-sm btn-outline-light" data-action="rotate" data-id="${hook.id}">New secret</button>
+        <button type="button" class="btn btn-sm btn-outline-danger" data-action="delete" data-id="${hook.id}">Delete</button>
+      </span>
+    `;
+    list.appendChild(li);
+  });
+}
+
+function showWebhookSecret(hook) {
+  const box = document.getElementById("webhook-secret");
+  box.textContent = `Signing secret for ${hook.url}: ${hook.secret} (copy it now, it won't be shown again)`;
+  box.classList.remove("d-none");
+}
+
+async function loadWebhookDeliveries(id) {
+  const hook = state.webhooks.find((h) => h.id === id);
+  const tbody = document.getElementById("webhook-delivery-rows");
+  if (!hook || !tbody) return;
+  state.webhookDeliveriesFor = id;
+  document.getElementById("webhook-deliveries-title").textContent = `Deliveries to ${hook.url}`;
+  document.getElementById("webhook-deliveries").classList.remove("d-none");
+  try {
+    const data = await api("GET", `/api/webhooks/${id}/deliveries`);
+    tbody.innerHTML = "";
+    if (!data.deliveries.length) tbody.innerHTML = '<tr><td colspan="6">Nothing sent yet.</td></tr>';
+    data.deliveries.forEach((d) => {
+      const last = d.attemptLog[d.attemptLog.length - 1];
+      const status = d.status === "pending" && d.attempts ? `retrying ${new Date(d.nextAttemptAt).toLocaleTimeString()}` : d.status;
+      const tr = document.createElement("tr");
+      tr.innerHTML = `
+        <td>${escapeHTML(d.event)}</td>
+        <td>${escapeHTML(status)}</td>
+        <td>${d.attempts}</td>
+        <td>${last ? escapeHTML(last.error || String(last.responseStatus)) : ""}</td>
+        <td>${escapeHTML(new Date(d.createdAt).toLocaleString())}</td>
+        <td>${d.status === "pending" ? "" : `<button type="button" class="btn btn-sm btn-outline-light" data-delivery="${d.id}">Redeliver</button>`}</td>
+      `;
+      tbody.appendChild(tr);
+    });
+  } catch (err) {
+    showError(err.message);
+  }
+}
+
+document.getElementById("webhook-settings")?.addEventListener("toggle", (e) => {
+  if (e.target.open) fetchWebhooks();
+});
+
+document.getElementById("webhook-form")?.addEventListener("submit", async (e) => {
+  e.preventDefault();
+  try {
+    hideError();
+    const hook = await api("POST", "/api/webhooks", {
+      projectId: state.query.project || null,
+      url: document.getElementById("webhook-url").value.trim(),
+      description: document.getElementById("webhook-description").value.trim(),
+      events: Array.from(document.querySelectorAll("#webhook-events input:checked"), (box) => box.value),
+    });
+    e.target.reset();
+    await fetchWebhooks();
+    showWebhookSecret(hook);
+  } catch (err) {
+    showError(err.message);
+  }
+});
+
+document.getElementById("webhook-list")?.addEventListener("click", async (e) => {
+  const btn = e.target.closest("button[data-action]");
+  if (!btn) return;
+  const hook = state.webhooks.find((h) => h.id === btn.dataset.id);
+  if (!hook) return;
+  try {
+    hideError();
+    if (btn.dataset.action === "deliveries") {
+      await loadWebhookDeliveries(hook.id);
+    } else if (btn.dataset.action === "test") {
+      await api("POST", `/api/webhooks/${hook.id}/test`);
+      showToast("Test event queued.", { undo: false });
+      await loadWebhookDeliveries(hook.id);
+    } else if (btn.dataset.action === "toggle") {
+      await api("PUT", `/api/webhooks/${hook.id}`, { active: !hook.active });
+      await fetchWebhooks();
+    } else if (btn.dataset.action === "rotate") {
+      if (!confirm("Replace the signing secret? Receivers must switch to the new one.")) return;
+      showWebhookSecret(await api("PUT", `/api/webhooks/${hook.id}`, { rotateSecret: true }));
+    } else if (btn.dataset.action === "delete") {
+      if (!confirm(`Delete the webhook for ${hook.url}? Its delivery log goes with it.`)) return;
+      await api("DELETE", `/api/webhooks/${hook.id}`);
+      await fetchWebhooks();
+    }
+  } catch (err) {
+    showError(err.message);
+  }
+});
+
+document.getElementById("webhook-delivery-rows")?.addEventListener("click", async (e) => {
+  const btn = e.target.closest("button[data-delivery]");
+  if (!btn || !state.webhookDeliveriesFor) return;
+  try {
+    await api("POST", `/api/webhooks/${state.webhookDeliveriesFor}/deliveries/${btn.dataset.delivery}/redeliver`);
+    await loadWebhookDeliveries(state.webhookDeliveriesFor);
+  } catch (err) {
+    showError(err.message);
+  }
+});
+
+// The bell's count follows the notification live events; the list itself is
+// reloaded whenever the panel opens.
+function renderNotificationCount(count) {
+  state.unreadNotifications = count;
+  const badge = document.getElementById("notif-count");
+  if (!badge) return;
+  badge.textContent = count > 99 ? "99+" : String(count);
+  badge.classList.toggle("d-none", !count);
+  document.getElementById("notif-toggle").setAttribute("aria-label", count ? `Notifications, ${count} unread` : "Notifications");
+}
+
+function renderNotifications() {
+  const list = document.getElementById("notif-list");
+  if (!list) return;
+  list.innerHTML = "";
+  if (!state.notifications.length) list.innerHTML = "<li>No notifications yet.</li>";
+  state.notifications.forEach((n) => {
+    const li = document.createElement("li");
+    li.className = n.readAt ? "notif-item" : "notif-item unread";
+    li.dataset.id = n.id;
+    li.tabIndex = 0;
+    li.innerHTML = `
+      <strong class="d-block">${escapeHTML(n.title)}</strong>
+      <span class="d-block small">${escapeHTML(n.body)}</span>
+      <time datetime="${escapeHTML(n.createdAt)}">${escapeHTML(new Date(n.createdAt).toLocaleString())}</time>
+    `;
+    list.appendChild(li);
+  });
+}
+
+async function fetchNotifications() {
+  try {
+    const data = await api("GET", "/api/notifications");
+    state.notifications = data.notifications;
+    renderNotificationCount(data.unreadCount);
+    renderNotifications();
+    document.getElementById("notif-menu")?.classList.remove("d-none");
+  } catch (err) {
+    console.error("Failed to load notifications", err);
+  }
+}
+
+function notificationPanelOpen() {
+  return !document.getElementById("notif-panel")?.classList.contains("d-none");
+}
+
+function toggleNotificationPanel(open) {
+  document.getElementById("notif-panel")?.classList.toggle("d-none", !open);
+  document.getElementById("notif-toggle")?.setAttribute("aria-expanded", String(open));
+  if (open) fetchNotifications();
+}
+
+// Marks the notification read and opens its task, switching to the task's
+// project (with filters cleared) when it isn't in the current list.
+async function openNotification(id) {
+  const n = state.notifications.find((item) => item.id === id);
+  if (!n) return;
+  toggleNotificationPanel(false);
+  try {
+    if (!n.readAt) {
+      const data = await api("POST", `/api/notifications/${id}/read`);
+      n.readAt = data.notification.readAt;
+      renderNotificationCount(data.unreadCount);
+    }
+    if (!n.taskId) return;
+    if (!state.tasks.some((t) => t.id === n.taskId)) {
+      await applyQuery({ ...DEFAULT_QUERY, project: n.projectId || "", sort: state.query.sort, order: state.query.order });
+      fillFilterForm();
+    }
+    if (state.tasks.some((t) => t.id === n.taskId)) enterEditMode(n.taskId);
+    else showToast("That task is no longer in your list.", { undo: false });
+  } catch (err) {
+    showError(err.message);
+  }
+}
+
+document.getElementById("notif-toggle")?.addEventListener("click", () => toggleNotificationPanel(!notificationPanelOpen()));
+
+document.getElementById("notif-list")?.addEventListener("click", (e) => {
+  const item = e.target.closest(".notif-item");
+  if (item) openNotification(item.dataset.id);
+});
+
+document.getElementById("notif-list")?.addEventListener("keydown", (e) => {
+  const item = e.target.closest(".notif-item");
+  if (item && (e.key === "Enter" || e.key === " ")) {
+    e.preventDefault();
+    openNotification(item.dataset.id);
+  }
+});
+
+document.getElementById("notif-read-all")?.addEventListener("click", async () => {
+  try {
+    const data = await api("POST", "/api/notifications/read-all");
+    state.notifications.forEach((n) => {
+      n.readAt = n.readAt || new Date().toISOString();
+    });
+    renderNotificationCount(data.unreadCount);
+    renderNotifications();
+  } catch (err) {
+    showError(err.message);
+  }
+});
+
+document.addEventListener("click", (e) => {
+  if (notificationPanelOpen() && !e.target.closest("#notif-menu")) toggleNotificationPanel(false);
+});
+
+document.addEventListener("keydown", (e) => {
+  if (e.key === "Escape" && notificationPanelOpen()) {
+    toggleNotificationPanel(false);
+    document.getElementById("notif-toggle")?.focus();
+  }
+});
+
+document.getElementById("tasks-body")?.addEventListener("click", (e) => {
+  const btn = e.target.closest("button");
+  if (!btn) return;
+  if (btn.dataset.tag) {
+    applyQuery({ tag: btn.dataset.tag });
+    fillFilterForm();
+    return;
+  }
+  const id = btn.dataset.id;
+  if (btn.dataset.action === "delete") handleDelete(id);
+  if (btn.dataset.action === "edit") enterEditMode(id);
+  if (btn.dataset.action === "timer") toggleTimer(id);
+});
+
+function enterEditMode(id) {
+  const task = state.tasks.find((t) => t.id === id);
+  if (!task) return;
+  document.getElementById("title").value = task.title;
+  document.getElementById("priority").value = task.priority;
+  document.getElementById("estimateHrs").value = task.estimateHrs;
+  fillDeadlineInputs(task);
+  document.getElementById("notes").value = task.notes || "";
+  document.getElementById("tags").value = (task.tags || []).join(", ");
+  document.getElementById("important").checked = !!task.important;
+  const status = task.status || "active";
+  document.getElementById("status-active").checked = status === "active";
+  document.getElementById("status-backlog").checked = status === "backlog";
+  document.getElementById("status-done").checked = status === "done";
+  fillRelationOptions(task);
+  fillAssigneeOptions(task.assignee?.id || "");
+  fillRecurrenceInputs(task.recurrence);
+  document.getElementById("edit-scope").classList.toggle("d-none", !task.seriesId);
+  document.getElementById("scope-occurrence").checked = true;
+
+  document.getElementById("edit-id").value = task.id;
+  document.getElementById("edit-version").value = task.version;
+  state.editBase = task;
+  hideConflict();
+  if (!isLocalId(task.id)) {
+    loadTaskHistory(task.id);
+    loadTimeEntries(task.id);
+  }
+  document.getElementById("form-mode-label").textContent = "Edit Task";
+  document.getElementById("quick-add-form")?.classList.add("d-none");
+  document.getElementById("submit-btn").textContent = "Save";
+  document.getElementById("cancel-edit").classList.remove("d-none");
+
+  document.getElementById("entry-section").scrollIntoView({ behavior: "smooth" });
+}
+
+document.getElementById("cancel-edit")?.addEventListener("click", resetForm);
+
+function resetForm() {
+  document.getElementById("task-form").reset();
+  document.getElementById("edit-id").value = "";
+  document.getElementById("edit-version").value = "";
+  state.editBase = null;
+  hideConflict();
+  document.getElementById("task-history-panel")?.classList.add("d-none");
+  document.getElementById("time-panel")?.classList.add("d-none");
+  document.getElementById("form-mode-label").textContent = "Add Task";
+  document.getElementById("quick-add-form")?.classList.remove("d-none");
+  document.getElementById("submit-btn").textContent = "Add";
+  document.getElementById("cancel-edit").classList.add("d-none");
+  document.getElementById("status-active").checked = true;
+  fillRelationOptions(null);
+  fillAssigneeOptions("");
+  fillRecurrenceInputs(null);
+  document.getElementById("edit-scope").classList.add("d-none");
+}
+
+// Deadlines with a time are sent as an ISO instant worked out in the browser;
+// without one they stay a plain date. Either way the task carries the
+// browser's timezone, which is where date-only reminders are counted from.
+function browserTimezone() {
+  return Intl.DateTimeFormat().resolvedOptions().timeZone || "UTC";
+}
+
+function localDateParts(value) {
+  const d = new Date(value);
+  const pad = (n) => String(n).padStart(2, "0");
+  return { date: `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`, time: `${pad(d.getHours())}:${pad(d.getMinutes())}` };
+}
+
+function formatDeadlineValue(value) {
+  if (!value || !value.includes("T")) return value || "";
+  const { date, time } = localDateParts(value);
+  return `${date} ${time}`;
+}
+
+function formatDeadline(task) {
+  return formatDeadlineValue(task.deadline);
+}
+
+function fillDeadlineInputs(task) {
+  const { date, time } = task.deadlineHasTime ? localDateParts(task.deadline) : { date: task.deadline || "", time: "" };
+  document.getElementById("deadline").value = date;
+  document.getElementById("deadlineTime").value = time;
+  const minutes = (task.reminders || []).map((r) => String(r.minutesBefore));
+  document.querySelectorAll("#reminder-options input[type=checkbox]").forEach((box) => {
+    box.checked = minutes.includes(box.value);
+  });
+}
+
+function readDeadlineInputs() {
+  const date = document.getElementById("deadline").value;
+  const time = document.getElementById("deadlineTime")?.value;
+  if (!date) return null;
+  return time ? new Date(`${date}T${time}`).toISOString() : date;
+}
+
+function readReminderInputs() {
+  return Array.from(document.querySelectorAll("#reminder-options input:checked"), (box) => ({ minutesBefore: Number(box.value) }));
+}
+
+function describeReminder(minutes) {
+  if (!minutes) return "at the deadline";
+  const units = [[10080, "week"], [1440, "day"], [60, "hour"], [1, "minute"]];
+  const [size, unit] = units.find(([size]) => minutes % size === 0);
+  const n = minutes / size;
+  return `${n} ${unit}${n === 1 ? "" : "s"} before`;
+}
+
+function describeReminders(rules) {
+  return (rules || []).map((r) => describeReminder(r.minutesBefore)).join(", ");
+}
+
+document.getElementById("task-form")?.addEventListener("submit", async (e) => {
+  e.preventDefault();
+  const data = {
+    title: document.getElementById("title").value.trim(),
+    priority: document.getElementById("priority").value,
+    estimateHrs: Number(document.getElementById("estimateHrs").value),
+    deadline: readDeadlineInputs(),
+    timezone: browserTimezone(),
+    reminders: readReminderInputs(),
+    notes: document.getElementById("notes")?.value || "",
+    important: !!document.getElementById("important")?.checked,
+    status: document.querySelector('input[name="status"]:checked')?.value || "active",
+    parentId: document.getElementById("parentId")?.value || null,
+    blockedBy: Array.from(document.getElementById("blockedBy")?.selectedOptions || [], (o) => o.value),
+    tags: document.getElementById("tags")?.value.split(",").map((tag) => tag.trim()).filter(Boolean) || [],
+    recurrence: readRecurrenceInputs(),
+    assigneeId: document.getElementById("assigneeId")?.value || null,
+  };
+
+  const editingId = document.getElementById("edit-id").value;
+  if (editingId) {
+    data.scope = document.querySelector('input[name="scope"]:checked')?.value || "occurrence";
+    data.version = Number(document.getElementById("edit-version").value);
+  } else {
+    data.projectId = state.query.project || null;
+  }
+  await saveTask(editingId, data);
+});
+
+// Quick add. The server parses the line (GET /api/tasks/parse) so the app and
+// the API read it the same way; the preview shows exactly what Add will save.
+const QUICK_ADD_DEFAULTS = { priority: "medium", estimateHrs: 1 };
+let quickAddTimer = null;
+let quickAddRequest = 0;
+
+function parseQuickAdd(text) {
+  const params = new URLSearchParams({ text, timezone: browserTimezone() });
+  return api("GET", `/api/tasks/parse?${params}`);
+}
+
+function renderQuickAddPreview({ fields, warnings }) {
+  const rows = [
+    ["Title", fields.title || "(none)"],
+    ["Priority", fields.priority || `${QUICK_ADD_DEFAULTS.priority} (default)`],
+    ["Estimate", `${fields.estimateHrs ?? QUICK_ADD_DEFAULTS.estimateHrs} h${fields.estimateHrs ? "" : " (default)"}`],
+  ];
+  if (fields.deadline) rows.push(["Deadline", formatDeadlineValue(fields.deadline)]);
+  if (fields.tags) rows.push(["Tags", fields.tags.join(", ")]);
+  if (fields.important) rows.push(["Important", "Yes"]);
+  document.getElementById("quick-add-preview").innerHTML = rows
+    .map(([label, value]) => `<div><dt>${label}</dt><dd>${escapeHTML(value)}</dd></div>`)
+    .concat(warnings.map((w) => `<div class="text-warning"><dt>Note</dt><dd>${escapeHTML(w)}</dd></div>`))
+    .join("");
+}
+
+async function previewQuickAdd() {
+  const text = document.getElementById("quick-add").value.trim();
+  const request = ++quickAddRequest;
+  const preview = document.getElementById("quick-add-preview");
+  if (!text) {
+    preview.innerHTML = "";
+    return;
+  }
+  try {
+    const result = await parseQuickAdd(text);
+    // Typing outruns the network; only the latest answer counts.
+    if (request === quickAddRequest) renderQuickAddPreview(result);
+  } catch (err) {
+    if (request === quickAddRequest) preview.innerHTML = `<div class="text-warning">${escapeHTML(err.message)}</div>`;
+  }
+}
+
+document.getElementById("quick-add")?.addEventListener("input", () => {
+  clearTimeout(quickAddTimer);
+  quickAddTimer = setTimeout(previewQuickAdd, 250);
+});
+
+document.getElementById("quick-add-form")?.addEventListener("submit", async (e) => {
+  e.preventDefault();
+  const input = document.getElementById("quick-add");
+  const text = input.value.trim();
+  if (!text) return;
+  clearTimeout(quickAddTimer);
+  let parsed;
+  try {
+    hideError();
+    parsed = await parseQuickAdd(text);
+  } catch (err) {
+    showError(err.message);
+    return;
+  }
+  if (!parsed.fields.title) {
+    showError("Add a title to the quick-add text");
+    return;
+  }
+  const saved = await saveTask("", {
+    ...QUICK_ADD_DEFAULTS,
+    timezone: browserTimezone(),
+    ...parsed.fields,
+    projectId: state.query.project || null,
+  });
+  if (saved) {
+    input.value = "";
+    quickAddRequest++;
+    document.getElementById("quick-add-preview").innerHTML = "";
+  }
+});
+
+// Edit conflicts. The form's values ("mine") are compared with the server's
+// current copy field by field; the task as it was when editing started
+// decides the default pick, so fields only the other person changed keep
+// their change unless the user says otherwise.
+const CONFLICT_FIELDS = [
+  ["title", "Title"],
+  ["priority", "Priority"],
+  ["estimateHrs", "Estimate (hrs)"],
+  ["deadline", "Deadline"],
+  ["reminders", "Reminders"],
+  ["notes", "Notes"],
+  ["important", "Important"],
+  ["status", "Status"],
+  ["tags", "Tags"],
+  ["parentId", "Parent task"],
+  ["blockedBy", "Blocked by"],
+  ["assigneeId", "Assignee"],
+  ["recurrence", "Repeat"],
+];
+
+function serverFieldValue(task, key) {
+  if (key === "assigneeId") return task.assignee?.id || null;
+  return task[key] ?? null;
+}
+
+function conflictKey(key, value) {
+  if (value === null || value === undefined || value === "") return "";
+  if (key === "reminders") return value.map((r) => r.minutesBefore).sort((a, b) => a - b).join(",");
+  if (key === "recurrence") {
+    return JSON.stringify([value.type, [...(value.weekdays || [])].sort(), value.monthDay || null, value.everyDays || null, value.until || null]);
+  }
+  if (Array.isArray(value)) return [...value].sort().join("\n");
+  return String(value);
+}
+
+function formatConflictValue(key, value, task) {
+  if (value === null || value === undefined || value === "" || (Array.isArray(value) && !value.length)) return "(none)";
+  if (key === "important") return value ? "Yes" : "No";
+  if (key === "parentId") return lookupTitle(value);
+  if (key === "blockedBy") return value.map(lookupTitle).join(", ");
+  if (key === "assigneeId") return task?.assignee?.username || assigneeChoices().find((u) => u.id === value)?.username || "(unknown user)";
+  if (key === "recurrence") return describeRecurrence(value);
+  if (key === "reminders") return describeReminders(value);
+  if (key === "deadline") return formatDeadlineValue(value);
+  if (Array.isArray(value)) return value.join(", ");
+  return String(value);
+}
+
+function showConflict(mine, current) {
+  const base = state.editBase || current;
+  const rows = CONFLICT_FIELDS.filter(([key]) => mine[key] !== undefined
+    && conflictKey(key, mine[key]) !== conflictKey(key, serverFieldValue(current, key)));
+  document.getElementById("edit-version").value = current.version;
+  if (!rows.length) {
+    // The other change did not touch anything in the form; save on top of it.
+    state.editBase = current;
+    saveTask(current.id, { ...mine, version: current.version });
+    return;
+  }
+
+  state.conflict = { mine, current, keys: rows.map(([key]) => key) };
+  const tbody = document.getElementById("conflict-rows");
+  tbody.innerHTML = "";
+  rows.forEach(([key, label]) => {
+    const mineChanged = conflictKey(key, mine[key]) !== conflictKey(key, serverFieldValue(base, key));
+    const theirs = serverFieldValue(current, key);
+    const tr = document.createElement("tr");
+    tr.innerHTML = `
+      <th scope="row">${escapeHTML(label)}</th>
+      <td><label><input type="radio" name="conflict-${key}" value="mine"${mineChanged ? " checked" : ""} /> ${escapeHTML(formatConflictValue(key, mine[key]))}</label></td>
+      <td><label><input type="radio" name="conflict-${key}" value="theirs"${mineChanged ? "" : " checked"} /> ${escapeHTML(formatConflictValue(key, theirs, current))}</label></td>
+    `;
+    tbody.appendChild(tr);
+  });
+  document.getElementById("edit-stale").classList.add("d-none");
+  const panel = document.getElementById("conflict-panel");
+  panel.classList.remove("d-none");
+  panel.scrollIntoView({ behavior: "smooth" });
+}
+
+function hideConflict() {
+  state.conflict = null;
+  document.getElementById("conflict-panel")?.classList.add("d-none");
+  document.getElementById("edit-stale")?.classList.add("d-none");
+}
+
+document.getElementById("conflict-save")?.addEventListener("click", () => {
+  if (!state.conflict) return;
+  const { mine, current, keys } = state.conflict;
+  const merged = { ...mine, version: current.version };
+  keys.forEach((key) => {
+    if (document.querySelector(`input[name="conflict-${key}"]:checked`)?.value === "theirs") {
+      merged[key] = serverFieldValue(current, key);
+    }
+  });
+  state.editBase = current;
+  hideConflict();
+  saveTask(current.id, merged);
+});
+
+document.getElementById("conflict-discard")?.addEventListener("click", () => {
+  resetForm();
+  fetchTasks();
+});
+
+// Sends the form (or a resolved conflict). A stale version opens the
+// conflict panel instead of showing an error.
+// Resolves to true once the change is saved or queued for sync.
+async function saveTask(editingId, data) {
+  if (isOffline() || queuedForTask(editingId)) {
+    await queueTaskSave(editingId, data);
+    return true;
+  }
+  state.lastSnapshot = JSON.parse(JSON.stringify(state.tasks));
+  try {
+    hideError();
+    const { headers } = editingId
+      ? await api("PUT", `/api/tasks/${editingId}`, data, { withResponse: true })
+      : await api("POST", "/api/tasks", data, { withResponse: true });
+    recordUndo(headers.get("X-History-Id"), `${editingId ? "edit of" : "adding"} ${taskLabel(data.title)}`);
+
+    resetForm();
+    await fetchTasks();
+    document.getElementById("results-section").scrollIntoView({ behavior: "smooth" });
+    return true;
+  } catch (err) {
+    state.tasks = state.lastSnapshot;
+    renderTasks();
+    if (err.offline) {
+      await queueTaskSave(editingId, data);
+      return true;
+    }
+    if (err.code === "VERSION_CONFLICT" && err.body?.current) {
+      showConflict(data, err.body.current);
+      return false;
+    }
+    showError(err.message);
+    return false;
+  }
+}
+
+// No confirmation: deleted tasks go to the trash and the toast offers undo.
+async function handleDelete(id) {
+  const task = state.tasks.find((t) => t.id === id);
+  let query = "";
+  if (task?.subtaskCount) {
+    const deleteChildren = confirm(
+      `This task has ${task.subtaskCount} subtask(s). Delete them too?\n\nOK deletes them, Cancel keeps them and moves them up a level.`,
+    );
+    query = `?children=${deleteChildren ? "delete" : "detach"}`;
+  }
+  if (isOffline() || queuedForTask(id)) {
+    await queueTaskDelete(id, query, task);
+    return;
+  }
+  state.lastSnapshot = JSON.parse(JSON.stringify(state.tasks));
+  try {
+    hideError();
+    const { headers } = await api("DELETE", `/api/tasks/${id}${query}`, null, { withResponse: true });
+    recordUndo(headers.get("X-History-Id"), `delete of ${taskLabel(task?.title || "task")}`);
+    await fetchTasks();
+  } catch (err) {
+    state.tasks = state.lastSnapshot;
+    renderTasks();
+    if (err.offline) await queueTaskDelete(id, query, task);
+    else showError(err.message);
+  }
+}
+
+// Time tracking. The running timer comes from GET /api/timer and follows
+// timer.updated events, so starting it in one tab shows up in the others.
+let timerTick = null;
+
+function roundHrs(hrs) {
+  return Number(hrs.toFixed(2));
+}
+
+function formatElapsed(ms) {
+  const total = Math.max(0, Math.floor(ms / 1000));
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${Math.floor(total / 3600)}:${pad(Math.floor(total / 60) % 60)}:${pad(total % 60)}`;
+}
+
+function renderTimeCell(t) {
+  const logged = t.loggedHrs || 0;
+  const timing = state.timer?.task?.id === t.id;
+  if (!logged && !timing) return "";
+  const over = logged > t.estimateHrs;
+  const percent = Math.round((logged / t.estimateHrs) * 100);
+  return `
+    <div class="time-progress${over ? " overrun" : ""}" title="${percent}% of the estimate logged">
+      <progress max="${t.estimateHrs}" value="${Math.min(logged, t.estimateHrs)}"></progress>
+      <span>${logged} / ${t.estimateHrs} h</span>
+      ${over ? `<span class="time-overrun d-block">+${roundHrs(logged - t.estimateHrs)} h over</span>` : ""}
+      ${timing ? `<span class="badge bg-info">timing</span>` : ""}
+    </div>
+  `;
+}
+
+function renderTimerBar() {
+  const bar = document.getElementById("timer-bar");
+  if (!bar) return;
+  clearInterval(timerTick);
+  bar.classList.toggle("d-none", !state.timer);
+  if (!state.timer) return;
+  document.getElementById("timer-task").textContent = state.timer.task ? `“${state.timer.task.title}”` : "a deleted task";
+  const started = new Date(state.timer.startedAt).getTime();
+  const tick = () => {
+    document.getElementById("timer-elapsed").textContent = formatElapsed(Date.now() - started);
+  };
+  tick();
+  timerTick = setInterval(tick, 1000);
+}
+
+function setTimer(timer) {
+  state.timer = timer;
+  renderTimerBar();
+  renderTasks();
+}
+
+async function fetchTimer() {
+  try {
+    const data = await api("GET", "/api/timer");
+    setTimer(data.timer);
+  } catch (err) {
+    console.error("Failed to load timer", err);
+  }
+}
+
+async function afterTimeLogged(taskId) {
+  await fetchTasks();
+  if (document.getElementById("edit-id").value === taskId) loadTimeEntries(taskId);
+}
+
+async function toggleTimer(id) {
+  try {
+    hideError();
+    if (state.timer?.task?.id === id) {
+      await stopRunningTimer();
+      return;
+    }
+    let data;
+    try {
+      data = await api("POST", `/api/tasks/${id}/timer`);
+    } catch (err) {
+      const running = err.body?.timer;
+      if (err.code !== "TIMER_RUNNING" || !running) throw err;
+      if (running.task?.id === id) {
+        setTimer(running);
+        return;
+      }
+      const title = running.task?.title || "another task";
+      if (!confirm(`The timer is running for “${title}”. Stop it and start this one?`)) return;
+      data = await api("POST", `/api/tasks/${id}/timer`, { switch: true });
+      await afterTimeLogged(running.task?.id);
+    }
+    setTimer(data.timer);
+  } catch (err) {
+    showError(err.message);
+  }
+}
+
+async function stopRunningTimer() {
+  const taskId = state.timer?.task?.id;
+  try {
+    hideError();
+    await api("DELETE", "/api/timer");
+  } catch (err) {
+    if (err.code !== "NO_TIMER") {
+      showError(err.message);
+      return;
+    }
+  }
+  setTimer(null);
+  if (taskId) await afterTimeLogged(taskId);
+}
+
+document.getElementById("timer-stop")?.addEventListener("click", stopRunningTimer);
+
+async function loadTimeEntries(id) {
+  const panel = document.getElementById("time-panel");
+  const list = document.getElementById("time-entries");
+  if (!panel || !list) return;
+  panel.classList.remove("d-none");
+  document.getElementById("time-form").classList.toggle("d-none", !canEditTasks());
+  try {
+    const data = await api("GET", `/api/tasks/${id}/time`);
+    const over = data.loggedHrs > data.estimateHrs ? ` (${roundHrs(data.loggedHrs - data.estimateHrs)} h over)` : "";
+    document.getElementById("time-summary").textContent =
+      `${data.loggedHrs} of ${data.estimateHrs} h logged, ${data.remainingHrs} h remaining${over}.`;
+    list.innerHTML = "";
+    if (!data.entries.length) list.innerHTML = "<li>No time logged yet.</li>";
+    const isOwner = state.role === "owner";
+    data.entries.forEach((entry) => {
+      const li = document.createElement("li");
+      li.className = "d-flex flex-wrap gap-2 align-items-center";
+      const when = new Date(entry.startedAt).toLocaleDateString();
+      const who = entry.user.username || "(deleted user)";
+      const length = entry.running ? "running" : `${entry.hours} h`;
+      const note = entry.note ? ` — ${escapeHTML(entry.note)}` : "";
+      const removable = canEditTasks() && (isOwner || entry.user.id === state.user?._id);
+      li.innerHTML = `
+        <span>${when} · ${escapeHTML(who)} · ${length} (${entry.source})${note}</span>
+        ${removable ? `<button type="button" class="btn btn-outline-danger btn-sm" data-entry-id="${entry.id}">Remove</button>` : ""}
+      `;
+      list.appendChild(li);
+    });
+  } catch (err) {
+    list.innerHTML = `<li>${escapeHTML("Could not load time entries: " + err.message)}</li>`;
+  }
+}
+
+document.getElementById("time-form")?.addEventListener("submit", async (e) => {
+  e.preventDefault();
+  const taskId = document.getElementById("edit-id").value;
+  if (!taskId) return;
+  try {
+    hideError();
+    await api("POST", `/api/tasks/${taskId}/time`, {
+      hours: Number(document.getElementById("time-hours").value),
+      date: document.getElementById("time-date").value || null,
+      note: document.getElementById("time-note").value.trim(),
+    });
+    e.target.reset();
+    await afterTimeLogged(taskId);
+  } catch (err) {
+    showError(err.message);
+  }
+});
+
+document.getElementById("time-entries")?.addEventListener("click", async (e) => {
+  const entryId = e.target.dataset.entryId;
+  if (!entryId) return;
+  const taskId = document.getElementById("edit-id").value;
+  try {
+    hideError();
+    await api("DELETE", `/api/time/${entryId}`);
+    if (state.timer?.id === entryId) setTimer(null);
+    await afterTimeLogged(taskId);
+  } catch (err) {
+    showError(err.message);
+  }
+});
+
+function renderReportRows(tbody, rows, label) {
+  tbody.innerHTML = "";
+  if (!rows.length) {
+    tbody.innerHTML = `<tr><td colspan="6">No finished tasks with logged time yet.</td></tr>`;
+    return;
+  }
+  rows.forEach((row) => {
+    const tr = document.createElement("tr");
+    tr.innerHTML = `
+      <td>${escapeHTML(label(row))}</td>
+      <td>${row.tasks}</td>
+      <td>${row.estimatedHrs}</td>
+      <td>${row.loggedHrs}</td>
+      <td>${row.ratio ?? "—"}</td>
+      <td>${row.errorPct}%</td>
+    `;
+    tbody.appendChild(tr);
+  });
+}
+
+async function fetchEstimateReport() {
+  try {
+    const scope = state.query.project ? `?project=${encodeURIComponent(state.query.project)}` : "";
+    const report = await api("GET", `/api/reports/estimates${scope}`);
+    renderReportRows(document.getElementById("report-priority"), report.byPriority, (row) => row.priority);
+    renderReportRows(document.getElementById("report-week"), report.byWeek, (row) => row.weekStart);
+  } catch (err) {
+    showError("Failed to load estimate report: " + err.message);
+  }
+}
+
+document.getElementById("estimate-report")?.addEventListener("toggle", (e) => {
+  if (e.target.open) fetchEstimateReport();
+});
+
+// Dashboard. Charts are drawn on canvases here rather than with a chart
+// library; drawBarChart covers all three (bars, plus an optional line).
+const CAPACITY_KEY = "taskrush:capacity";
+let dashboardTimer = null;
+
+function scheduleDashboardRefresh() {
+  clearTimeout(dashboardTimer);
+  dashboardTimer = setTimeout(fetchAnalytics, 1000);
+}
+
+function chartColors() {
+  const css = getComputedStyle(document.documentElement);
+  const v = (name) => css.getPropertyValue(name).trim();
+  return {
+    text: v("--text"),
+    grid: v("--border"),
+    accent: v("--accent"),
+    danger: v("--danger"),
+    priority: { low: v("--low"), medium: v("--med"), high: v("--high"), critical: v("--crit") },
+  };
+}
+
+function niceMax(value) {
+  const magnitude = 10 ** Math.floor(Math.log10(value));
+  const n = value / magnitude;
+  return (n <= 1 ? 1 : n <= 2 ? 2 : n <= 5 ? 5 : 10) * magnitude;
+}
+
+// Sizes the backing store to the element so lines stay sharp on HiDPI screens.
+function prepareCanvas(canvas) {
+  const ratio = window.devicePixelRatio || 1;
+  const width = canvas.clientWidth;
+  const height = canvas.clientHeight;
+  canvas.width = Math.round(width * ratio);
+  canvas.height = Math.round(height * ratio);
+  const ctx = canvas.getContext("2d");
+  ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+  ctx.clearRect(0, 0, width, height);
+  return { ctx, width, height };
+}
+
+// series: [{ name, values, color }] drawn as grouped bars; color may be an
+// array with one color per bar. line: { name, values, color } drawn on top.
+function drawBarChart(canvas, { labels, series, line = null }) {
+  if (!canvas || !canvas.clientWidth) return;
+  const { ctx, width, height } = prepareCanvas(canvas);
+  const colors = chartColors();
+  const pad = { top: 26, right: 8, bottom: 24, left: 40 };
+  const plotW = width - pad.left - pad.right;
+  const plotH = height - pad.top - pad.bottom;
+  const values = series.flatMap((s) => s.values).concat(line ? line.values : []);
+  const max = niceMax(Math.max(1, ...values));
+  const y = (v) => pad.top + plotH - (v / max) * plotH;
+
+  ctx.font = "11px system-ui, sans-serif";
+  ctx.lineWidth = 1;
+  ctx.textAlign = "right";
+  ctx.textBaseline = "middle";
+  for (let i = 0; i <= 4; i++) {
+    const value = (max * i) / 4;
+    const yy = Math.round(y(value)) + 0.5;
+    ctx.strokeStyle = colors.grid;
+    ctx.beginPath();
+    ctx.moveTo(pad.left, yy);
+    ctx.lineTo(width - pad.right, yy);
+    ctx.stroke();
+    ctx.fillStyle = colors.text;
+    ctx.fillText(String(Number(value.toFixed(1))), pad.left - 4, yy);
+  }
+
+  const slot = plotW / labels.length;
+  const barW = Math.max(2, (slot * 0.7) / series.length);
+  series.forEach((s, si) => {
+    s.values.forEach((value, i) => {
+      ctx.fillStyle = Array.isArray(s.color) ? s.color[i] : s.color;
+      ctx.fillRect(pad.left + slot * i + slot * 0.15 + barW * si, y(value), barW, pad.top + plotH - y(value));
+    });
+  });
+
+  if (line) {
+    ctx.strokeStyle = line.color;
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    line.values.forEach((value, i) => {
+      const x = pad.left + slot * i + slot / 2;
+      if (i) ctx.lineTo(x, y(value));
+      else ctx.moveTo(x, y(value));
+    });
+    ctx.stroke();
+  }
+
+  ctx.fillStyle = colors.text;
+  ctx.textAlign = "center";
+  ctx.textBaseline = "top";
+  const every = Math.ceil(labels.length / Math.max(1, Math.floor(plotW / 48)));
+  labels.forEach((label, i) => {
+    if (i % every === 0) ctx.fillText(label, pad.left + slot * i + slot / 2, pad.top + plotH + 6);
+  });
+
+  let x = pad.left;
+  ctx.textAlign = "left";
+  ctx.textBaseline = "middle";
+  [...series.filter((s) => s.name), ...(line ? [line] : [])].forEach((item) => {
+    ctx.fillStyle = Array.isArray(item.color) ? item.color[0] : item.color;
+    ctx.fillRect(x, 6, 10, 10);
+    ctx.fillStyle = colors.text;
+    ctx.fillText(item.name, x + 14, 11);
+    x += 24 + ctx.measureText(item.name).width;
+  });
+}
+
+function weekLabel(weekStart) {
+  return new Date(`${weekStart}T00:00:00Z`).toLocaleDateString(undefined, { month: "short", day: "numeric", timeZone: "UTC" });
+}
+
+function renderDueList(id, bucket) {
+  const list = document.getElementById(id);
+  if (!list) return;
+  list.innerHTML = "";
+  if (!bucket.tasks) list.innerHTML = "<li>Nothing here.</li>";
+  bucket.items.forEach((t) => {
+    const li = document.createElement("li");
+    li.innerHTML = `<span class="badge bg-secondary text-uppercase me-1">${escapeHTML(t.priority)}</span>${escapeHTML(t.title)} · due ${t.deadline} · ${t.remainingHrs} h left`;
+    list.appendChild(li);
+  });
+  if (bucket.tasks > bucket.items.length) {
+    const li = document.createElement("li");
+    li.textContent = `…and ${bucket.tasks - bucket.items.length} more`;
+    list.appendChild(li);
+  }
+}
+
+function renderDashboard() {
+  const data = state.analytics;
+  if (!data) return;
+  const colors = chartColors();
+  const thisWeek = data.throughput[data.throughput.length - 1];
+  document.getElementById("stat-open").textContent = `${data.open.hours}`;
+  document.getElementById("stat-due").textContent = `${data.dueThisWeek.tasks}`;
+  document.getElementById("stat-overdue").textContent = `${data.overdue.tasks}`;
+  document.getElementById("stat-completed").textContent = `${thisWeek ? thisWeek.completed : 0}`;
+
+  const priorityChart = document.getElementById("chart-priority");
+  drawBarChart(priorityChart, {
+    labels: data.openByPriority.map((row) => row.priority),
+    series: [{ values: data.openByPriority.map((row) => row.hours), color: data.openByPriority.map((row) => colors.priority[row.priority]) }],
+  });
+  priorityChart?.setAttribute("aria-label", "Open hours by priority: " + data.openByPriority.map((row) => `${row.priority} ${row.hours}`).join(", "));
+
+  const throughputChart = document.getElementById("chart-throughput");
+  drawBarChart(throughputChart, {
+    labels: data.throughput.map((row) => weekLabel(row.weekStart)),
+    series: [
+      { name: "Completed", values: data.throughput.map((row) => row.completed), color: colors.accent },
+      { name: "Created", values: data.throughput.map((row) => row.created), color: colors.grid },
+    ],
+  });
+  throughputChart?.setAttribute("aria-label", "Completed and created per week: "
+    + data.throughput.map((row) => `week of ${row.weekStart} ${row.completed} completed, ${row.created} created`).join("; "));
+
+  const forecast = data.capacity.weeks;
+  const capacityChart = document.getElementById("chart-capacity");
+  drawBarChart(capacityChart, {
+    labels: forecast.map((row) => weekLabel(row.weekStart)),
+    series: [{ name: "Due", values: forecast.map((row) => row.cumulativeDueHrs), color: forecast.map((row) => (row.overCapacity ? colors.danger : colors.accent)) }],
+    line: { name: "Capacity", values: forecast.map((row) => row.cumulativeCapacityHrs), color: colors.text },
+  });
+  const short = forecast.find((row) => row.overCapacity);
+  const note = short
+    ? `Over capacity from the week of ${weekLabel(short.weekStart)}: ${short.cumulativeDueHrs} h due by then against ${short.cumulativeCapacityHrs} h available.`
+    : "Work with deadlines fits within capacity.";
+  const extra = [];
+  if (data.capacity.laterHrs) extra.push(`${data.capacity.laterHrs} h due later`);
+  if (data.capacity.unscheduledHrs) extra.push(`${data.capacity.unscheduledHrs} h without a deadline`);
+  document.getElementById("capacity-note").textContent = extra.length ? `${note} Not shown: ${extra.join(", ")}.` : note;
+  capacityChart?.setAttribute("aria-label", note);
+
+  renderDueList("overdue-list", data.overdue);
+  renderDueList("due-week-list", data.dueThisWeek);
+}
+
+async function fetchAnalytics() {
+  const section = document.getElementById("dashboard-section");
+  if (!section) return;
+  try {
+    const params = new URLSearchParams({ capacity: document.getElementById("dashboard-capacity").value || "40" });
+    if (state.query.project) params.set("project", state.query.project);
+    state.analytics = await api("GET", `/api/analytics?${params}`);
+    renderDashboard();
+  } catch (err) {
+    showError("Failed to load dashboard: " + err.message);
+  }
+}
+
+document.getElementById("dashboard-refresh")?.addEventListener("click", fetchAnalytics);
+
+document.getElementById("dashboard-capacity")?.addEventListener("change", (e) => {
+  const hours = Number(e.target.value);
+  if (!(hours > 0)) return;
+  localStorage.setItem(CAPACITY_KEY, String(hours));
+  fetchAnalytics();
+});
+
+let dashboardResizeTimer = null;
+window.addEventListener("resize", () => {
+  clearTimeout(dashboardResizeTimer);
+  dashboardResizeTimer = setTimeout(renderDashboard, 150);
+});
+
+function restoreCapacity() {
+  const stored = Number(localStorage.getItem(CAPACITY_KEY));
+  if (stored > 0) document.getElementById("dashboard-capacity").value = stored;
+}
+
+// Board view. Cards are ordered by position within a status column. A drop,
+// by mouse or keyboard, updates state.tasks right away and sends a single
+// reorder request, restoring the previous state if that fails.
+const BOARD_STATUSES = ["backlog", "active", "done"];
+const LAYOUT_KEY = "taskrush:layout";
+const POSITION_GAP = 1024;
+// Keyboard move in progress: { id, status, index } of where the card would land.
+let boardGrab = null;
+let boardFocusId = null;
+let boardDragId = null;
+
+function boardLayout() {
+  return localStorage.getItem(LAYOUT_KEY) === "board" ? "board" : "table";
+}
+
+// Same order as the server's position sort: unpositioned tasks first.
+function comparePosition(a, b) {
+  if (a.position === null || b.position === null) {
+    if (a.position !== b.position) return a.position === null ? -1 : 1;
+  } else if (a.position !== b.position) {
+    return a.position - b.position;
+  }
+  return a.id < b.id ? -1 : a.id > b.id ? 1 : 0;
+}
+
+function boardColumn(status, exceptId = null) {
+  return state.tasks.filter((t) => (t.status || "active") === status && t.id !== exceptId).sort(comparePosition);
+}
+
+function renderBoard() {
+  const board = document.getElementById("tasks-board");
+  if (!board) return;
+  const showBoard = boardLayout() === "board";
+  board.classList.toggle("d-none", !showBoard);
+  document.getElementById("tasks-table")?.classList.toggle("d-none", showBoard);
+  document.getElementById("layout-table")?.setAttribute("aria-pressed", String(!showBoard));
+  document.getElementById("layout-board")?.setAttribute("aria-pressed", String(showBoard));
+  if (!showBoard) return;
+
+  const grabbed = boardGrab && state.tasks.find((t) => t.id === boardGrab.id);
+  if (!grabbed) boardGrab = null;
+  const editable = canEditTasks();
+  BOARD_STATUSES.forEach((status) => {
+    const cards = boardColumn(status, boardGrab?.id);
+    if (boardGrab?.status === status) cards.splice(boardGrab.index, 0, grabbed);
+    board.querySelector(`.board-column[data-status="${status}"] .board-count`).textContent = `(${cards.length})`;
+    const list = board.querySelector(`.board-cards[data-status="${status}"]`);
+    list.innerHTML = "";
+    cards.forEach((t) => {
+      const li = document.createElement("li");
+      li.className = `board-card priority-${t.priority}`;
+      li.classList.toggle("task-blocked", !!t.blocked);
+      li.classList.toggle("grabbed", boardGrab?.id === t.id);
+      li.dataset.id = t.id;
+      li.tabIndex = 0;
+      if (editable) {
+        li.draggable = true;
+        li.setAttribute("aria-describedby", "board-help");
+      }
+      li.innerHTML = `
+        <span class="board-card-title">${escapeHTML(t.title)}</span>
+        <span class="small d-block">${escapeHTML(t.priority)} · ${t.estimateHrs} h${t.deadline ? ` · due ${formatDeadline(t)}` : ""}${t.assignee ? ` · ${escapeHTML(t.assignee.username || "(deleted user)")}` : ""}</span>
+        ${renderTagChips(t.tags)}
+      `;
+      list.appendChild(li);
+    });
+  });
+  colorTagChips(board);
+
+  const focusId = boardGrab?.id || boardFocusId;
+  boardFocusId = null;
+  if (focusId) board.querySelector(`.board-card[data-id="${focusId}"]`)?.focus();
+}
+
+// Position for a card dropped at `index` of a column that doesn't include
+// it, or null when the neighbours leave no room and the column needs
+// renumbering.
+function positionAt(column, index) {
+  if (!column.length) return Date.now();
+  const before = index > 0 ? column[index - 1].position : undefined;
+  const after = index < column.length ? column[index].position : undefined;
+  if (before === undefined) return after === null ? null : after - POSITION_GAP;
+  if (after === undefined) return before === null ? null : before + POSITION_GAP;
+  if (before === null || after === null || after - before < 1e-6) return null;
+  return (before + after) / 2;
+}
+
+async function moveCard(id, status, index) {
+  const task = state.tasks.find((t) => t.id === id);
+  if (!task) return;
+  const fromStatus = task.status || "active";
+  if (fromStatus === status && boardColumn(status).findIndex((t) => t.id === id) === index) return;
+
+  const column = boardColumn(status, id);
+  const position = positionAt(column, index);
+  const moves = position !== null
+    ? [{ id, position }]
+    : [...column.slice(0, index), task, ...column.slice(index)].map((t, i) => ({ id: t.id, position: i * POSITION_GAP }));
+  if (status !== fromStatus) Object.assign(moves.find((m) => m.id === id), { status, version: task.version });
+
+  state.lastSnapshot = JSON.parse(JSON.stringify(state.tasks));
+  moves.forEach((m) => {
+    const t = state.tasks.find((x) => x.id === m.id);
+    t.position = m.position;
+    if (m.status) t.status = m.status;
+  });
+  boardFocusId = id;
+  renderTasks();
+  try {
+    hideError();
+    const { data, headers } = await api("POST", "/api/tasks/reorder", { projectId: state.query.project || null, moves }, { withResponse: true });
+    data.tasks.forEach((updated) => {
+      const i = state.tasks.findIndex((t) => t.id === updated.id);
+      if (i >= 0) state.tasks[i] = updated;
+    });
+    recordUndo(headers.get("X-History-Id"), `move of ${taskLabel(task.title)}`);
+    boardFocusId = id;
+    renderTasks();
+  } catch (err) {
+    state.tasks = state.lastSnapshot;
+    boardFocusId = id;
+    renderTasks();
+    showError(err.code === "VERSION_CONFLICT" ? "Someone else changed this task; the board has been refreshed." : err.message);
+    if (err.code === "VERSION_CONFLICT") fetchTasks();
+  }
+}
+
+function announceBoard(message) {
+  const status = document.getElementById("board-status");
+  if (status) status.textContent = message;
+}
+
+function setLayout(layout) {
+  localStorage.setItem(LAYOUT_KEY, layout);
+  boardGrab = null;
+  // The board reads best with pages fetched in board order.
+  if (layout === "board" && state.query.sort !== "position") applyQuery({ sort: "position", order: "asc" });
+  else if (layout === "table" && state.query.sort === "position") applyQuery({ sort: DEFAULT_QUERY.sort, order: DEFAULT_QUERY.order });
+  else renderTasks();
+}
+
+document.getElementById("layout-table")?.addEventListener("click", () => setLayout("table"));
+document.getElementById("layout-board")?.addEventListener("click", () => setLayout("board"));
+
+function clearDropMarker() {
+  document.querySelectorAll("#tasks-board .drop-before, #tasks-board .drop-end").forEach((el) => el.classList.remove("drop-before", "drop-end"));
+}
+
+function dropIndex(list, y) {
+  const cards = [...list.querySelectorAll(".board-card")].filter((card) => card.dataset.id !== boardDragId);
+  const index = cards.findIndex((card) => {
+    const rect = card.getBoundingClientRect();
+    return y < rect.top + rect.height / 2;
+  });
+  return { cards, index: index === -1 ? cards.length : index };
+}
+
+const boardEl = document.getElementById("tasks-board");
+
+boardEl?.addEventListener("dragstart", (e) => {
+  const card = e.target.closest(".board-card");
+  if (!card || !canEditTasks()) return;
+  boardDragId = card.dataset.id;
+  e.dataTransfer.effectAllowed = "move";
+  e.dataTransfer.setData("text/plain", boardDragId);
+  card.classList.add("dragging");
+});
+
+boardEl?.addEventListener("dragend", (e) => {
+  e.target.closest(".board-card")?.classList.remove("dragging");
+  clearDropMarker();
+  boardDragId = null;
+});
+
+boardEl?.addEventListener("dragover", (e) => {
+  const list = e.target.closest(".board-column")?.querySelector(".board-cards");
+  if (!list || !boardDragId) return;
+  e.preventDefault();
+  e.dataTransfer.dropEffect = "move";
+  const { cards, index } = dropIndex(list, e.clientY);
+  clearDropMarker();
+  if (cards[index]) cards[index].classList.add("drop-before");
+  else list.classList.add("drop-end");
+});
+
+boardEl?.addEventListener("drop", (e) => {
+  const list = e.target.closest(".board-column")?.querySelector(".board-cards");
+  const id = boardDragId;
+  if (!list || !id) return;
+  e.preventDefault();
+  const { index } = dropIndex(list, e.clientY);
+  clearDropMarker();
+  boardDragId = null;
+  moveCard(id, list.dataset.status, index);
+});
+
+boardEl?.addEventListener("click", (e) => {
+  const chip = e.target.closest(".tag-chip[data-tag]");
+  if (!chip) return;
+  applyQuery({ tag: chip.dataset.tag });
+  fillFilterForm();
+});
+
+boardEl?.addEventListener("dblclick", (e) => {
+  const card = e.target.closest(".board-card");
+  if (card && canEditTasks()) enterEditMode(card.dataset.id);
+});
+
+boardEl?.addEventListener("keydown", (e) => {
+  const card = e.target.closest(".board-card");
+  if (!card || !canEditTasks() || e.ctrlKey || e.metaKey || e.altKey) return;
+  const id = card.dataset.id;
+  const task = state.tasks.find((t) => t.id === id);
+  if (!task) return;
+
+  if (!boardGrab) {
+    if (e.key !== " " && e.key !== "Enter") return;
+    e.preventDefault();
+    const status = task.status || "active";
+    boardGrab = { id, status, index: boardColumn(status).findIndex((t) => t.id === id) };
+    renderBoard();
+    announceBoard(`Picked up ${task.title}. Use the arrow keys to move it, Space or Enter to drop it, Escape to cancel.`);
+    return;
+  }
+  if (boardGrab.id !== id) return;
+
+  const grab = boardGrab;
+  const columnIndex = BOARD_STATUSES.indexOf(grab.status);
+  if (e.key === "ArrowUp") {
+    grab.index = Math.max(0, grab.index - 1);
+  } else if (e.key === "ArrowDown") {
+    grab.index = Math.min(boardColumn(grab.status, id).length, grab.index + 1);
+  } else if (e.key === "ArrowLeft" || e.key === "ArrowRight") {
+    const next = BOARD_STATUSES[columnIndex + (e.key === "ArrowLeft" ? -1 : 1)];
+    if (!next) return;
+    grab.status = next;
+    grab.index = Math.min(grab.index, boardColumn(next, id).length);
+  } else if (e.key === " " || e.key === "Enter") {
+    e.preventDefault();
+    boardGrab = null;
+    boardFocusId = id;
+    renderBoard();
+    announceBoard(`Dropped ${task.title} in ${grab.status}, position ${grab.index + 1}.`);
+    moveCard(id, grab.status, grab.index);
+    return;
+  } else if (e.key === "Escape" || e.key === "Tab") {
+    boardGrab = null;
+    if (e.key === "Escape") boardFocusId = id;
+    renderBoard();
+    announceBoard(`Move cancelled. ${task.title} is back where it was.`);
+    return;
+  } else {
+    return;
+  }
+  e.preventDefault();
+  renderBoard();
+  announceBoard(`${task.title}: ${grab.status}, position ${grab.index + 1} of ${boardColumn(grab.status, id).length + 1}.`);
+});
+
+// Multi-select. The selection holds task ids and survives re-renders; ids
+// that leave the loaded list drop out of it.
+function renderBulkBar() {
+  const loaded = new Set(state.tasks.map((t) => t.id));
+  state.selected = new Set([...state.selected].filter((id) => loaded.has(id)));
+  const count = state.selected.size;
+  document.getElementById("bulk-bar")?.classList.toggle("d-none", !count || !canEditTasks());
+  const label = document.getElementById("bulk-count");
+  if (label) label.textContent = `${count} selected`;
+  const all = document.getElementById("select-all");
+  if (all) {
+    all.disabled = !canEditTasks() || !state.tasks.length;
+    all.checked = count > 0 && count === state.tasks.length;
+    all.indeterminate = count > 0 && count < state.tasks.length;
+  }
+}
+
+document.getElementById("select-all")?.addEventListener("change", (e) => {
+  state.selected = e.target.checked ? new Set(state.tasks.map((t) => t.id)) : new Set();
+  renderTasks();
+});
+
+document.getElementById("tasks-body")?.addEventListener("change", (e) => {
+  if (!e.target.classList.contains("row-select")) return;
+  if (e.target.checked) state.selected.add(e.target.dataset.id);
+  else state.selected.delete(e.target.dataset.id);
+  renderBulkBar();
+});
+
+document.getElementById("bulk-clear")?.addEventListener("click", () => {
+  state.selected = new Set();
+  renderTasks();
+});
+
+function describeBulkFailures(results) {
+  const failed = results.filter((r) => !r.ok && r.code !== "SKIPPED");
+  const titles = failed.slice(0, 3).map((r) => `${lookupTitle(r.id)}: ${r.error}`);
+  return titles.join("; ") + (failed.length > 3 ? `; and ${failed.length - 3} more` : "");
+}
+
+// Applies the affected tasks from the response in place. Filters or sorting
+// may no longer match them, so those lists are refetched. A server without
+// transactions refuses all-or-nothing changes; the user can then choose to
+// apply them task by task.
+async function runBulk(operations, label, atomic = true) {
+  try {
+    hideError();
+    const { data, headers } = await api("POST", "/api/tasks/bulk", { projectId: state.query.project || null, atomic, operations }, { withResponse: true });
+    const deleted = new Set(data.deleted);
+    const updated = new Map(data.tasks.map((t) => [t.id, t]));
+    const before = state.tasks.length;
+    state.tasks = state.tasks.filter((t) => !deleted.has(t.id)).map((t) => updated.get(t.id) || t);
+    state.total = Math.max(0, state.total - (before - state.tasks.length));
+    const failed = data.results.filter((r) => !r.ok);
+    state.selected = new Set(failed.map((r) => r.id));
+    renderTasks();
+    if (hasActiveFilters() || state.query.sort !== "createdAt") scheduleLiveRefetch();
+
+    if (headers.get("X-History-Id")) recordUndo(headers.get("X-History-Id"), label);
+    else showToast(`${label.charAt(0).toUpperCase() + label.slice(1)} done`, { undo: false });
+    if (failed.length) showError(`${failed.length} change(s) could not be applied (they stay selected): ${describeBulkFailures(data.results)}`);
+  } catch (err) {
+    if (err.code === "BULK_INVALID") {
+      showError(`Nothing was changed. ${describeBulkFailures(err.body.results)}`);
+      return;
+    }
+    if (err.code === "TRANSACTIONS_UNSUPPORTED") {
+      if (confirm("This server can't make the change all-or-nothing. Apply it task by task? Tasks that fail stay selected.")) runBulk(operations, label, false);
+      return;
+    }
+    showError(err.message);
+  }
+}
+
+function selectedTasks() {
+  return state.tasks.filter((t) => state.selected.has(t.id));
+}
+
+function bulkLabel(action, tasks) {
+  return tasks.length === 1 ? `${action} of ${taskLabel(tasks[0].title)}` : `${action} of ${tasks.length} tasks`;
+}
+
+document.getElementById("bulk-status")?.addEventListener("change", (e) => {
+  const status = e.target.value;
+  e.target.value = "";
+  const tasks = selectedTasks();
+  if (!status || !tasks.length) return;
+  runBulk(tasks.map((t) => ({ id: t.id, op: "status", status, version: t.version })), bulkLabel("status change", tasks));
+});
+
+document.getElementById("bulk-priority")?.addEventListener("change", (e) => {
+  const priority = e.target.value;
+  e.target.value = "";
+  const tasks = selectedTasks();
+  if (!priority || !tasks.length) return;
+  runBulk(tasks.map((t) => ({ id: t.id, op: "update", fields: { priority }, version: t.version })), bulkLabel("priority change", tasks));
+});
+
+document.getElementById("bulk-tag-form")?.addEventListener("submit", (e) => {
+  e.preventDefault();
+  const op = e.submitter?.dataset.bulkTag || "addTag";
+  const tag = document.getElementById("bulk-tag").value.trim();
+  const tasks = selectedTasks();
+  if (!tag || !tasks.length) return;
+  runBulk(tasks.map((t) => ({ id: t.id, op, tag, version: t.version })), bulkLabel(op === "addTag" ? "tagging" : "untagging", tasks));
+  e.target.reset();
+});
+
+// Like single deletes, these go to the trash without a confirmation; only
+// subtasks that weren't selected need a decision.
+document.getElementById("bulk-delete")?.addEventListener("click", () => {
+  const tasks = selectedTasks();
+  if (!tasks.length) return;
+  let children;
+  if (tasks.some((t) => t.subtaskCount)) {
+    children = confirm("Some selected tasks have subtasks. Delete those too?\n\nOK deletes them, Cancel keeps them and moves them up a level.")
+      ? "delete"
+      : "detach";
+  }
+  runBulk(tasks.map((t) => ({ id: t.id, op: "delete", version: t.version, ...(children ? { children } : {}) })), bulkLabel("deletion", tasks));
+});
+
+// Undo/redo. Each stack holds server history entry ids; undoing reverts an
+// entry on the server, and the entry that revert creates is what redo
+// reverts in turn.
+const UNDO_LIMIT = 50;
+const TOAST_MS = 8000;
+let toastTimer = null;
+
+function renderHistoryControls() {
+  const undo = document.getElementById("undo-btn");
+  const redo = document.getElementById("redo-btn");
+  if (undo) {
+    undo.disabled = !state.undoStack.length;
+    undo.title = state.undoStack.length ? `Undo ${state.undoStack[state.undoStack.length - 1].label} (Ctrl+Z)` : "Undo (Ctrl+Z)";
+  }
+  if (redo) {
+    redo.disabled = !state.redoStack.length;
+    redo.title = state.redoStack.length ? `Redo ${state.redoStack[state.redoStack.length - 1].label} (Ctrl+Shift+Z)` : "Redo (Ctrl+Shift+Z)";
+  }
+}
+
+function showToast(message, { undo = true } = {}) {
+  const toast = document.getElementById("undo-toast");
+  if (!toast) return;
+  document.getElementById("undo-toast-message").textContent = message;
+  document.getElementById("undo-toast-undo").classList.toggle("d-none", !undo || !state.undoStack.length);
+  toast.classList.remove("d-none");
+  clearTimeout(toastTimer);
+  toastTimer = setTimeout(() => toast.classList.add("d-none"), TOAST_MS);
+}
+
+function recordUndo(historyId, label) {
+  if (!historyId) return;
+  state.undoStack.push({ id: historyId, label });
+  if (state.undoStack.length > UNDO_LIMIT) state.undoStack.shift();
+  state.redoStack = [];
+  renderHistoryControls();
+  showToast(label.charAt(0).toUpperCase() + label.slice(1));
+}
+
+async function revertHistory(from, to, verb) {
+  const item = from.pop();
+  if (!item) return;
+  try {
+    hideError();
+    const { entry } = await api("POST", `/api/history/${item.id}/revert`);
+    to.push({ id: entry.id, label: item.label });
+    showToast(`${verb} ${item.label}`, { undo: verb === "Redid" });
+    await fetchTasks();
+    if (document.getElementById("trash-panel")?.open) fetchTrash();
+  } catch (err) {
+    showError(`Could not ${verb === "Undid" ? "undo" : "redo"} ${item.label}: ${err.message}`);
+  }
+  renderHistoryControls();
+}
+
+function undoLast() {
+  return revertHistory(state.undoStack, state.redoStack, "Undid");
+}
+
+function redoLast() {
+  return revertHistory(state.redoStack, state.undoStack, "Redid");
+}
+
+document.getElementById("undo-btn")?.addEventListener("click", undoLast);
+document.getElementById("redo-btn")?.addEventListener("click", redoLast);
+document.getElementById("undo-toast-undo")?.addEventListener("click", () => {
+  document.getElementById("undo-toast").classList.add("d-none");
+  undoLast();
+});
+
+document.addEventListener("keydown", (e) => {
+  if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+  if (e.target.closest("input, textarea, select, [contenteditable]")) return;
+  const key = e.key.toLowerCase();
+  if (key === "z" && !e.shiftKey) {
+    e.preventDefault();
+    undoLast();
+  } else if ((key === "z" && e.shiftKey) || key === "y") {
+    e.preventDefault();
+    redoLast();
+  }
+});
+
+function taskLabel(title) {
+  return `“${title}”`;
+}
+
+async function fetchTrash() {
+  const list = document.getElementById("trash-list");
+  if (!list) return;
+  try {
+    const scope = state.query.project ? `?project=${encodeURIComponent(state.query.project)}` : "";
+    const items = await api("GET", `/api/trash${scope}`);
+    list.innerHTML = "";
+    document.getElementById("trash-empty").disabled = !items.length || !canEditTasks();
+    const purgeAt = items.find((t) => t.purgeAt)?.purgeAt;
+    document.getElementById("trash-note").textContent = !items.length
+      ? "The trash is empty."
+      : purgeAt ? "Deleted tasks are removed for good once their purge date passes." : "Deleted tasks stay here until you purge them.";
+    items.forEach((t) => {
+      const li = document.createElement("li");
+      li.className = "d-flex flex-wrap gap-2 align-items-center";
+      li.dataset.id = t.id;
+      const extra = t.includedSubtasks ? ` (+${t.includedSubtasks} subtask${t.includedSubtasks === 1 ? "" : "s"})` : "";
+      const purge = t.purgeAt ? ` · purged ${new Date(t.purgeAt).toLocaleDateString()}` : "";
+      li.innerHTML = `
+        <span>${escapeHTML(t.title)}${extra}</span>
+        <span class="small">deleted ${new Date(t.deletedAt).toLocaleString()}${purge}</span>
+        ${canEditTasks() ? `
+          <button type="button" class="btn btn-outline-light btn-sm" data-trash-action="restore">Restore</button>
+          <button type="button" class="btn btn-outline-danger btn-sm" data-trash-action="purge">Delete forever</button>
+        ` : ""}
+      `;
+      list.appendChild(li);
+    });
+  } catch (err) {
+    showError("Failed to load trash: " + err.message);
+  }
+}
+
+document.getElementById("trash-panel")?.addEventListener("toggle", (e) => {
+  if (e.target.open) fetchTrash();
+});
+
+document.getElementById("trash-list")?.addEventListener("click", async (e) => {
+  const action = e.target.dataset.trashAction;
+  if (!action) return;
+  const li = e.target.closest("li");
+  const title = li.querySelector("span").textContent;
+  try {
+    hideError();
+    if (action === "restore") {
+      const { headers } = await api("POST", `/api/tasks/${li.dataset.id}/restore`, null, { withResponse: true });
+      recordUndo(headers.get("X-History-Id"), `restore of ${taskLabel(title)}`);
+      await fetchTasks();
+    } else {
+      if (!confirm(`Permanently delete "${title}"? This cannot be undone.`)) return;
+      await api("DELETE", `/api/trash/${li.dataset.id}`);
+    }
+    fetchTrash();
+  } catch (err) {
+    showError(err.message);
+  }
+});
+
+document.getElementById("trash-empty")?.addEventListener("click", async () => {
+  if (!confirm("Permanently delete everything in the trash? This cannot be undone.")) return;
+  try {
+    hideError();
+    const scope = state.query.project ? `?project=${encodeURIComponent(state.query.project)}` : "";
+    await api("DELETE", `/api/trash${scope}`);
+    fetchTrash();
+  } catch (err) {
+    showError(err.message);
+  }
+});
+
+const HISTORY_FIELD_LABELS = Object.fromEntries(CONFLICT_FIELDS);
+
+function describeHistoryEntry(entry) {
+  if (entry.action === "create") return "created the task";
+  if (entry.action === "delete") return entry.taskIds.length > 1 ? `deleted it with ${entry.taskIds.length - 1} subtask(s)` : "deleted the task";
+  if (entry.action === "restore") return "restored it from the trash";
+  const verb = entry.revertOf ? "reverted" : "changed";
+  return `${verb} ` + entry.changes
+    .map((c) => `${HISTORY_FIELD_LABELS[c.field] || c.field}: ${formatConflictValue(c.field, c.from)} → ${formatConflictValue(c.field, c.to)}`)
+    .join("; ");
+}
+
+async function loadTaskHistory(id) {
+  const panel = document.getElementById("task-history-panel");
+  const list = document.getElementById("task-history");
+  if (!panel || !list) return;
+  panel.classList.remove("d-none");
+  list.innerHTML = "<li>Loading…</li>";
+  try {
+    const entries = await api("GET", `/api/tasks/${id}/history`);
+    list.innerHTML = "";
+    if (!entries.length) list.innerHTML = "<li>No recorded changes yet.</li>";
+    entries.forEach((entry) => {
+      const li = document.createElement("li");
+      li.textContent = `${new Date(entry.createdAt).toLocaleString()} — ${entry.user?.username || "(deleted user)"} ${describeHistoryEntry(entry)}`;
+      list.appendChild(li);
+    });
+  } catch (err) {
+    list.innerHTML = `<li>${escapeHTML("Could not load history: " + err.message)}</li>`;
+  }
+}
+
+// Live updates from GET /api/events. Task events are applied to state.tasks
+// in place; anything that could change which rows match the current filters
+// or their order falls back to a (debounced) refetch.
+let liveSource = null;
+let liveRefetchTimer = null;
+
+function scheduleLiveRefetch() {
+  clearTimeout(liveRefetchTimer);
+  liveRefetchTimer = setTimeout(() => fetchTasks(), 300);
+}
+
+function inCurrentList(projectId) {
+  return projectId === undefined || (projectId || "") === state.query.project;
+}
+
+function applyLiveTask(type, task) {
+  if (!inCurrentList(task.projectId)) return;
+  scheduleDashboardRefresh();
+  const entry = { id: task.id, title: task.title, status: task.status, parentId: task.parentId };
+  const lookupIndex = state.lookup.findIndex((x) => x.id === task.id);
+  if (lookupIndex === -1) state.lookup.push(entry);
+  else state.lookup[lookupIndex] = entry;
+
+  if (task.id === document.getElementById("edit-id").value && task.version > Number(document.getElementById("edit-version").value)) {
+    document.getElementById("edit-stale").classList.remove("d-none");
+  }
+
+  const index = state.tasks.findIndex((t) => t.id === task.id);
+  const reorders = hasActiveFilters() || state.query.sort !== "createdAt" || state.query.order !== "desc";
+  if (index !== -1) {
+    state.tasks[index] = task;
+  } else if (type === "task.created" && !reorders) {
+    state.tasks.unshift(task);
+    state.total += 1;
+  } else {
+    scheduleLiveRefetch();
+    return;
+  }
+  renderTasks();
+  if (reorders) scheduleLiveRefetch();
+}
+
+function removeLiveTask(id) {
+  scheduleDashboardRefresh();
+  state.lookup = state.lookup.filter((x) => x.id !== id);
+  const before = state.tasks.length;
+  state.tasks = state.tasks.filter((t) => t.id !== id);
+  if (state.tasks.length === before) return;
+  state.total = Math.max(0, state.total - 1);
+  renderTasks();
+}
+
+async function applyProjectEvent(data) {
+  await fetchProjects();
+  if (state.query.project && !currentProject()) {
+    applyQuery({ ...DEFAULT_QUERY });
+    fillFilterForm();
+    showError("You no longer have access to that project.");
+  } else if (data.id === state.query.project) {
+    scheduleLiveRefetch();
+  }
+}
+
+function connectLiveUpdates() {
+  if (!window.EventSource || liveSource) return;
+  // EventSource reconnects by itself and resumes from the last event id.
+  liveSource = new EventSource("/api/events");
+  const on = (type, handler) => liveSource.addEventListener(type, (e) => handler(JSON.parse(e.data || "{}")));
+  on("task.created", (data) => applyLiveTask("task.created", data.task));
+  on("task.updated", (data) => applyLiveTask("task.updated", data.task));
+  on("task.deleted", (data) => removeLiveTask(data.id));
+  on("tasks.changed", (data) => inCurrentList(data.projectId) && scheduleLiveRefetch());
+  on("project.updated", applyProjectEvent);
+  on("project.deleted", applyProjectEvent);
+  on("settings.updated", (data) => {
+    fillUrgencyForm(data.urgencyWeights);
+    scheduleLiveRefetch();
+  });
+  on("timer.updated", (data) => {
+    const stoppedId = state.timer?.task?.id;
+    setTimer(data.timer);
+    if (stoppedId && !data.timer && document.getElementById("edit-id").value === stoppedId) loadTimeEntries(stoppedId);
+  });
+  on("notification.created", (data) => {
+    state.notifications = [data.notification, ...state.notifications.filter((n) => n.id !== data.notification.id)];
+    renderNotificationCount(data.unreadCount);
+    renderNotifications();
+    showToast(data.notification.title, { undo: false });
+  });
+  on("notifications.read", (data) => {
+    renderNotificationCount(data.unreadCount);
+    if (notificationPanelOpen()) fetchNotifications();
+  });
+  on("resync", () => {
+    fetchTimer();
+    fetchNotifications();
+    fetchProjects();
+    scheduleLiveRefetch();
+  });
+}
+
+function escapeHTML(str) {
+  if (!str) return "";
+  return String(str).replace(/[&<>"']/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" }[c]));
+}
+
+function showError(msg) {
+  const container = document.getElementById("error-container");
+  container.innerHTML = `<div class="alert alert-danger" role="alert">${escapeHTML(msg)}</div>`;
+  container.scrollIntoView({ behavior: "smooth" });
+}
+
+function hideError() {
+  const container = document.getElementById("error-container");
+  container.innerHTML = "";
+}
+
+// Offline support. The last task list for each project is kept in IndexedDB
+// so the app opens without a connection, and task changes made offline wait
+// in a queue there until the server answers again. Entries replay in order;
+// one the server turns down stays queued, marked failed, until it is resolved
+// from the sync panel.
+const OFFLINE_DB = "taskrush";
+const SYNC_RETRY_MS = 30 * 1000;
+let offlineDbPromise = null;
+
+function openOfflineDb() {
+  if (!offlineDbPromise) {
+    offlineDbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(OFFLINE_DB, 1);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore("snapshots", { keyPath: "key" });
+        request.result.createObjectStore("queue", { keyPath: "seq", autoIncrement: true });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+  return offlineDbPromise;
+}
+
+// Runs one request against a store; resolves with its result once committed.
+async function idb(storeName, mode, run) {
+  const db = await openOfflineDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeName, mode);
+    const request = run(tx.objectStore(storeName));
+    tx.oncomplete = () => resolve(request.result);
+    tx.onerror = () => reject(tx.error);
+  });
+}
+
+async function clearOfflineData() {
+  try {
+    await idb("snapshots", "readwrite", (store) => store.clear());
+    await idb("queue", "readwrite", (store) => store.clear());
+  } catch (err) {
+    console.warn("Could not clear offline data", err);
+  }
+  state.sync.queue = [];
+}
+
+function isOffline() {
+  return state.sync.offline || !navigator.onLine;
+}
+
+function isLocalId(id) {
+  return String(id).startsWith("local-");
+}
+
+function setOffline(offline) {
+  if (state.sync.offline === offline) return;
+  state.sync.offline = offline;
+  renderSyncStatus();
+  if (!offline) replayQueue();
+}
+
+function snapshotKey(name) {
+  return `${state.user._id}:${name}`;
+}
+
+function saveSnapshot(name, data) {
+  if (!state.user) return;
+  idb("snapshots", "readwrite", (store) => store.put({ key: snapshotKey(name), savedAt: new Date().toISOString(), ...data }))
+    .catch((err) => console.warn("Could not save offline copy", err));
+}
+
+function loadSnapshot(name) {
+  return idb("snapshots", "readonly", (store) => store.get(snapshotKey(name))).catch(() => null);
+}
+
+function taskSnapshotName() {
+  return `tasks:${state.query.project || "personal"}`;
+}
+
+// Shows the saved copy of the current list when the server can't be reached.
+// Resolves false when this browser has never loaded the list.
+async function showSavedTasks() {
+  const snapshot = await loadSnapshot(taskSnapshotName());
+  if (!snapshot) return false;
+  state.lookup = snapshot.lookup;
+  state.tags = snapshot.tags;
+  renderTagControls();
+  if (!document.getElementById("edit-id").value) fillRelationOptions(null);
+  state.tasks = withQueuedChanges(snapshot.tasks);
+  state.total = snapshot.total;
+  state.nextCursor = null;
+  state.urgencyWeights = snapshot.urgencyWeights;
+  state.role = snapshot.role;
+  state.sync.savedAt = snapshot.savedAt;
+  renderProjectControls();
+  renderTasks();
+  renderSyncStatus();
+  return true;
+}
+
+// The fields of a queued body that show up in the list, in the task's shape.
+function previewFields(body) {
+  const fields = {};
+  ["title", "priority", "estimateHrs", "notes", "important", "status", "tags", "reminders", "parentId", "blockedBy", "recurrence"].forEach((key) => {
+    if (body[key] !== undefined) fields[key] = body[key];
+  });
+  if (body.deadline !== undefined) {
+    fields.deadline = body.deadline;
+    fields.deadlineHasTime = !!body.deadline?.includes("T");
+  }
+  if (body.assigneeId !== undefined) {
+    fields.assignee = body.assigneeId
+      ? { id: body.assigneeId, username: assigneeChoices().find((u) => u.id === body.assigneeId)?.username || null }
+      : null;
+  }
+  return fields;
+}
+
+// Lays the queued changes for the current list over tasks from the server (or
+// the saved copy), marking what has not synced yet. Safe to run again over
+// its own output.
+function withQueuedChanges(tasks) {
+  const project = state.query.project || null;
+  let result = tasks.filter((t) => !isLocalId(t.id));
+  state.sync.queue.forEach((entry) => {
+    if (entry.failed || entry.project !== project) return;
+    if (entry.kind === "create") {
+      result = [{
+        id: entry.tempId, version: 0, urgencyScore: 0, loggedHrs: 0, subtaskCount: 0, blocked: false, openBlockers: [],
+        tags: [], reminders: [], recurrence: null, seriesId: null, assignee: null, projectId: project,
+        createdAt: entry.createdAt, ...previewFields(entry.body), pending: true,
+      }, ...result];
+    } else if (entry.kind === "update") {
+      result = result.map((t) => (t.id === entry.taskId ? { ...t, ...previewFields(entry.body), pending: true } : t));
+    } else {
+      result = result.filter((t) => t.id !== entry.taskId);
+    }
+  });
+  return result;
+}
+
+async function loadQueue() {
+  state.sync.queue = await idb("queue", "readonly", (store) => store.getAll()).catch(() => []);
+  renderSyncStatus();
+}
+
+async function putQueued(entry) {
+  entry.seq = await idb("queue", "readwrite", (store) => store.put(entry));
+  if (!state.sync.queue.includes(entry)) state.sync.queue.push(entry);
+}
+
+async function dropQueued(entry) {
+  await idb("queue", "readwrite", (store) => store.delete(entry.seq));
+  state.sync.queue = state.sync.queue.filter((e) => e !== entry);
+}
+
+function afterQueueChange(message) {
+  state.tasks = withQueuedChanges(state.tasks);
+  renderTasks();
+  renderSyncStatus();
+  showToast(message, { undo: false });
+}
+
+// A second edit to a task that is still waiting folds into the queued entry,
+// which keeps the version the first edit was based on. The entry being sent
+// can't change any more, so an edit made meanwhile is queued after it.
+async function queueTaskSave(editingId, data) {
+  const label = taskLabel(data.title);
+  const waiting = editingId && state.sync.queue.find((e) => !e.failed && e !== state.sync.sending
+    && ((e.kind === "create" && e.tempId === editingId) || (e.kind === "update" && e.taskId === editingId)));
+  if (waiting) {
+    const { version, ...fields } = data;
+    if (waiting.kind === "create") delete fields.scope;
+    waiting.body = { ...waiting.body, ...fields };
+    waiting.label = label;
+    await putQueued(waiting);
+  } else if (editingId) {
+    const task = state.tasks.find((t) => t.id === editingId);
+    await putQueued({ kind: "update", taskId: editingId, body: data, base: state.editBase, project: task?.projectId || null, label });
+  } else {
+    await putQueued({
+      kind: "create", tempId: `local-${Date.now().toString(36)}`, body: data, project: data.projectId || null, label,
+      createdAt: new Date().toISOString(),
+    });
+  }
+  resetForm();
+  afterQueueChange(`Saved ${label} on this device; it syncs when you're back online`);
+}
+
+// Deleting a task supersedes anything else queued for it. A task that only
+// exists in the queue just disappears, unless it is being sent right now.
+async function queueTaskDelete(id, query, task) {
+  const sending = state.sync.sending;
+  for (const entry of state.sync.queue.filter((e) => e !== sending && (e.taskId === id || e.tempId === id))) await dropQueued(entry);
+  const label = taskLabel(task?.title || "task");
+  if (!isLocalId(id) || sending?.tempId === id) {
+    await putQueued({ kind: "delete", taskId: id, path: `/api/tasks/${id}${query}`, version: task?.version, project: task?.projectId || null, label });
+  }
+  if (document.getElementById("edit-id").value === id) resetForm();
+  afterQueueChange(`Deleted ${label} on this device; it syncs when you're back online`);
+}
+
+function queuedForTask(id) {
+  return isLocalId(id) || state.sync.queue.some((e) => !e.failed && e.taskId === id);
+}
+
+// Entries queued while an earlier one for the same task was on its way were
+// based on the task as it was before; point them at what the server now has.
+async function carryForward(entry, headers) {
+  const id = entry.kind === "create" ? headers.get("Location")?.split("/").pop() : entry.taskId;
+  const version = Number(headers.get("ETag")?.replace(/"/g, ""));
+  if (!id || !Number.isInteger(version)) return;
+  // Edits to a task that was only just created can only be based on it.
+  const basedOnSent = (v) => entry.kind === "create" || v === entry.body.version;
+  for (const later of state.sync.queue) {
+    if (later === entry || later.failed || later.taskId !== (entry.tempId || id)) continue;
+    if (later.kind === "update") {
+      if (basedOnSent(later.body.version)) later.body = { ...later.body, version };
+    } else {
+      later.path = later.path.replace(later.taskId, id);
+      if (basedOnSent(later.version)) later.version = version;
+    }
+    later.taskId = id;
+    await putQueued(later);
+  }
+}
+
+// Sends waiting entries in the order they were made, including ones queued
+// during the run. A lost connection or a server error stops the run so later
+// entries don't overtake the one that failed; the server refusing an entry
+// marks it for the user instead.
+async function replayQueue() {
+  if (state.sync.replaying || !state.user) return;
+  if (!state.sync.queue.some((e) => !e.failed)) return;
+  state.sync.replaying = true;
+  renderSyncStatus();
+  let refused = 0;
+  const tried = new Set();
+  try {
+    for (;;) {
+      const entry = state.sync.queue.find((e) => !e.failed && !tried.has(e));
+      if (!entry) break;
+      tried.add(entry);
+      state.sync.sending = entry;
+      try {
+        if (entry.kind === "create") {
+          const { headers } = await api("POST", "/api/tasks", entry.body, { withResponse: true });
+          await carryForward(entry, headers);
+        } else if (entry.kind === "update") {
+          const { headers } = await api("PUT", `/api/tasks/${entry.taskId}`, entry.body, { withResponse: true });
+          await carryForward(entry, headers);
+        } else {
+          await api("DELETE", entry.path, entry.version === undefined ? null : { version: entry.version });
+        }
+        await dropQueued(entry);
+      } catch (err) {
+        if (err.offline || !err.status || err.status >= 500) break;
+        if (entry.kind === "delete" && err.status === 404) {
+          await dropQueued(entry);
+          continue;
+        }
+        entry.failed = { error: err.message, code: err.code || null, current: err.body?.current || null };
+        await putQueued(entry);
+        refused++;
+      }
+    }
+  } finally {
+    state.sync.replaying = false;
+    state.sync.sending = null;
+    renderSyncStatus();
+  }
+  if (refused) {
+    toggleSyncPanel(true);
+    showToast(`${refused} offline change${refused === 1 ? "" : "s"} could not be applied`, { undo: false });
+  }
+  await fetchTasks();
+}
+
+function syncActions(entry) {
+  const seq = entry.seq;
+  if (!entry.failed) return `<button type="button" class="btn btn-link btn-sm p-0" data-action="discard" data-seq="${seq}">Discard</button>`;
+  const conflict = entry.failed.code === "VERSION_CONFLICT";
+  if (conflict && entry.kind === "update" && entry.failed.current) {
+    return `<button type="button" class="btn btn-sm btn-outline-light me-1" data-action="review" data-seq="${seq}">Review changes</button>
+      <button type="button" class="btn btn-link btn-sm p-0" data-action="discard" data-seq="${seq}">Discard mine</button>`;
+  }
+  if (conflict && entry.kind === "delete") {
+    return `<button type="button" class="btn btn-sm btn-outline-danger me-1" data-action="force-delete" data-seq="${seq}">Delete anyway</button>
+      <button type="button" class="btn btn-link btn-sm p-0" data-action="discard" data-seq="${seq}">Keep task</button>`;
+  }
+  return `<button type="button" class="btn btn-link btn-sm p-0" data-action="discard" data-seq="${seq}">Discard</button>`;
+}
+
+const SYNC_VERBS = { create: "Add", update: "Edit", delete: "Delete" };
+
+function renderSyncStatus() {
+  const menu = document.getElementById("sync-menu");
+  if (!menu) return;
+  const { queue, replaying, savedAt } = state.sync;
+  const failed = queue.filter((e) => e.failed).length;
+  const waiting = queue.length - failed;
+  const offline = isOffline();
+  let label = "Synced";
+  if (replaying) label = "Syncing…";
+  else if (failed) label = `${failed} to resolve`;
+  else if (offline) label = waiting ? `Offline · ${waiting} waiting` : "Offline";
+  else if (waiting) label = `${waiting} waiting`;
+  document.getElementById("sync-label").textContent = label;
+  menu.classList.toggle("sync-offline", offline);
+  menu.classList.toggle("sync-problem", failed > 0);
+
+  let note = "Every change on this device has reached the server.";
+  if (offline) {
+    note = "You're offline. Task changes are kept on this device and sent when the connection is back.";
+    if (savedAt) note += ` The list is the copy saved ${new Date(savedAt).toLocaleString()}.`;
+  } else if (queue.length) {
+    note = failed ? "The server turned these changes down. Review or discard them." : "These changes are on their way.";
+  }
+  document.getElementById("sync-note").textContent = note;
+  document.getElementById("sync-now").disabled = offline || replaying || !waiting;
+
+  const list = document.getElementById("sync-list");
+  list.innerHTML = "";
+  queue.forEach((entry) => {
+    const li = document.createElement("li");
+    li.className = "sync-item" + (entry.failed ? " failed" : "");
+    li.innerHTML = `
+      <div>${SYNC_VERBS[entry.kind]} ${escapeHTML(entry.label)}</div>
+      <div class="small">${escapeHTML(entry.failed ? entry.failed.error : "Waiting to sync")}</div>
+      <div class="mt-1">${syncActions(entry)}</div>
+    `;
+    list.appendChild(li);
+  });
+}
+
+function syncPanelOpen() {
+  return !document.getElementById("sync-panel")?.classList.contains("d-none");
+}
+
+function toggleSyncPanel(open) {
+  document.getElementById("sync-panel")?.classList.toggle("d-none", !open);
+  document.getElementById("sync-status")?.setAttribute("aria-expanded", String(open));
+}
+
+// Opens the task on the server's current copy with the offline edit laid out
+// field by field in the conflict panel, the same as a conflict while online.
+function reviewQueuedConflict(entry) {
+  const { current } = entry.failed;
+  state.tasks = [current, ...state.tasks.filter((t) => t.id !== current.id)];
+  renderTasks();
+  enterEditMode(current.id);
+  state.editBase = entry.base || current;
+  toggleSyncPanel(false);
+  showConflict(entry.body, current);
+}
+
+document.getElementById("sync-status")?.addEventListener("click", () => toggleSyncPanel(!syncPanelOpen()));
+document.getElementById("sync-now")?.addEventListener("click", () => replayQueue());
+
+document.getElementById("sync-list")?.addEventListener("click", async (e) => {
+  const btn = e.target.closest("button[data-action]");
+  const entry = btn && state.sync.queue.find((q) => q.seq === Number(btn.dataset.seq));
+  if (!entry) return;
+  try {
+    hideError();
+    if (btn.dataset.action === "force-delete") await api("DELETE", entry.path);
+    await dropQueued(entry);
+    renderSyncStatus();
+    if (btn.dataset.action === "review") reviewQueuedConflict(entry);
+    else await fetchTasks();
+  } catch (err) {
+    showError(err.message);
+  }
+});
+
+document.addEventListener("click", (e) => {
+  if (syncPanelOpen() && !e.target.closest("#sync-menu")) toggleSyncPanel(false);
+});
+
+document.addEventListener("keydown", (e) => {
+  if (e.key === "Escape" && syncPanelOpen()) {
+    toggleSyncPanel(false);
+    document.getElementById("sync-status")?.focus();
+  }
+});
+
+window.addEventListener("online", () => setOffline(false));
+window.addEventListener("offline", () => setOffline(true));
+
+document.getElementById("logout-btn")?.addEventListener("click", async (e) => {
+  e.preventDefault();
+  await clearOfflineData();
+  try {
+    await api("POST", "/auth/logout");
+  } catch (err) {
+  } finally {
+    window.location.reload();
+  }
+});
+
+(async function init() {
+  let authed = false;
+  for (let i = 0; i < 5; i++) {
+    authed = await fetchUser();
+    if (authed) break;
+    await new Promise(resolve => setTimeout(resolve, 100));
+  }
+
+  if (!authed) {
+    return;
+  }
+  document.getElementById("sync-menu")?.classList.remove("d-none");
+  await loadQueue();
+  await migrateLegacyMeta();
+  restoreCapacity();
+  fillFilterForm();
+  updateExportLinks();
+  await fetchProjects();
+  await Promise.all([fetchTasks(), fetchViews(), fetchTimer(), fetchNotifications()]);
+  connectLiveUpdates();
+  replayQueue();
+  setInterval(() => replayQueue(), SYNC_RETRY_MS);
 })();
@@ -0,0 +1,362 @@
+(function () {
+  const container = document.createElement("div");
+  container.className = "container my-3";
+  container.innerHTML = `
+    <div id="auth-panel" class="card p-3 mb-4">
+      <div class="d-flex justify-content-between align-items-center mb-2">
+        <h2 class="h5 mb-0">Account</h2>
+        <div id="auth-controls" class="d-flex gap-2">
+          <button id="logout-btn" class="btn btn-outline-danger btn-sm d-none">Logout</button>
+        </div>
+      </div>
+      <div id="auth-status" class="mb-2" role="status">Not logged in</div>
+      <div id="auth-mode" class="btn-group btn-group-sm mb-2" role="group" aria-label="Account mode">
+        <button type="button" id="mode-signin" class="btn btn-outline-light active" aria-pressed="true">Sign in</button>
+        <button type="button" id="mode-signup" class="btn btn-outline-light" aria-pressed="false">Sign up</button>
+      </div>
+      <form id="login-form" class="row g-2 align-items-end">
+        <div class="col-auto">
+          <label class="form-label visually-hidden" for="login-username">Username</label>
+          <input id="login-username" class="form-control" placeholder="username" autocomplete="username" required />
+        </div>
+        <div class="col-auto">
+          <label class="form-label visually-hidden" for="login-password">Password</label>
+          <input id="login-password" type="password" class="form-control" placeholder="password" autocomplete="current-password" required />
+        </div>
+        <div class="col-auto d-none" id="confirm-wrap">
+          <label class="form-label visually-hidden" for="login-confirm">Confirm password</label>
+          <input id="login-confirm" type="password" class="form-control" placeholder="confirm password" autocomplete="new-password" />
+        </div>
+        <div class="col-auto">
+          <button id="login-btn" class="btn btn-success">Sign in</button>
+        </div>
+      </form>
+      <div id="auth-hint" class="form-text mt-2">
+        New here? Switch to "Sign up" to create an account.
+      </div>
+      <details id="account-settings" class="mt-3 d-none">
+        <summary>Account settings</summary>
+        <form id="password-form" class="row g-2 align-items-end mt-2">
+          <div class="col-auto">
+            <label class="form-label visually-hidden" for="current-password">Current password</label>
+            <input id="current-password" type="password" class="form-control" placeholder="current password" autocomplete="current-password" required />
+          </div>
+          <div class="col-auto">
+            <label class="form-label visually-hidden" for="new-password">New password</label>
+            <input id="new-password" type="password" class="form-control" placeholder="new password" autocomplete="new-password" required />
+          </div>
+          <div class="col-auto">
+            <button class="btn btn-primary btn-sm">Change password</button>
+          </div>
+        </form>
+        <form id="delete-account-form" class="row g-2 align-items-end mt-2">
+          <div class="col-auto">
+            <label class="form-label visually-hidden" for="delete-password">Password</label>
+            <input id="delete-password" type="password" class="form-control" placeholder="password to confirm" autocomplete="current-password" required />
+          </div>
+          <div class="col-auto">
+            <button class="btn btn-danger btn-sm">Delete account and all tasks</button>
+          </div>
+        </form>
+        <div id="account-message" class="form-text mt-2" role="status"></div>
+        <h3 class="h6 mt-3">Personal API tokens</h3>
+        <div class="form-text mb-2">Tokens work with the task API only. Settings, notifications, webhooks and projects need a signed-in session. Changing your password revokes every token.</div>
+        <form id="token-form" class="row g-2 align-items-end">
+          <div class="col-auto">
+            <label class="form-label visually-hidden" for="token-name">Token name</label>
+            <input id="token-name" class="form-control" placeholder="token name" maxlength="100" required />
+          </div>
+          <div class="col-auto">
+            <label class="form-label visually-hidden" for="token-scope">Access</label>
+            <select id="token-scope" class="form-select">
+              <option value="read">Read only</option>
+              <option value="write">Read and write</option>
+            </select>
+          </div>
+          <div class="col-auto">
+            <label class="form-label visually-hidden" for="token-expiry">Expires</label>
+            <select id="token-expiry" class="form-select">
+              <option value="">Never expires</option>
+              <option value="30">30 days</option>
+              <option value="90">90 days</option>
+              <option value="365">1 year</option>
+            </select>
+          </div>
+          <div class="col-auto">
+            <button class="btn btn-primary btn-sm">Create token</button>
+          </div>
+        </form>
+        <div id="new-token" class="alert alert-info mt-2 d-none" role="status"></div>
+        <ul id="token-list" class="list-unstyled small mt-2 mb-0"></ul>
+        <h3 class="h6 mt-3">Recent sign-in activity</h3>
+        <ul id="login-activity" class="list-unstyled small mb-0"></ul>
+      </details>
+    </div>
+  `;
+  const main = document.querySelector("main");
+  main.parentNode.insertBefore(container, main);
+
+  const authStatus = document.getElementById("auth-status");
+  const loginForm = document.getElementById("login-form");
+  const logoutBtn = document.getElementById("logout-btn");
+  const authControls = document.getElementById("auth-controls");
+  const modeSignin = document.getElementById("mode-signin");
+  const modeSignup = document.getElementById("mode-signup");
+  const confirmWrap = document.getElementById("confirm-wrap");
+  const authHint = document.getElementById("auth-hint");
+  const accountSettings = document.getElementById("account-settings");
+  const accountMessage = document.getElementById("account-message");
+  let mode = "signin";
+
+  function setMode(next) {
+    mode = next;
+    const signup = mode === "signup";
+    modeSignin.classList.toggle("active", !signup);
+    modeSignin.setAttribute("aria-pressed", String(!signup));
+    modeSignup.classList.toggle("active", signup);
+    modeSignup.setAttribute("aria-pressed", String(signup));
+    confirmWrap.classList.toggle("d-none", !signup);
+    document.getElementById("login-confirm").required = signup;
+    document.getElementById("login-password").autocomplete = signup ? "new-password" : "current-password";
+    document.getElementById("login-btn").textContent = signup ? "Create account" : "Sign in";
+    authHint.textContent = signup
+      ? "Usernames are 3-32 letters, digits, '.', '_' or '-'. Passwords need 8+ characters with a letter and a digit."
+      : 'New here? Switch to "Sign up" to create an account.';
+  }
+
+  async function setAuthenticated(user, { offline = false } = {}) {
+    if (user) {
+      authStatus.textContent = "Logged in as " + user.username + (offline ? " (offline)" : "");
+      logoutBtn.classList.remove("d-none");
+      loginForm.classList.add("d-none");
+      document.getElementById("auth-mode").classList.add("d-none");
+      authHint.classList.add("d-none");
+      accountSettings.classList.remove("d-none");
+      loadAppScript();
+    } else {
+      authStatus.textContent = "Not logged in";
+      logoutBtn.classList.add("d-none");
+    }
+  }
+
+  // The server sets this cookie and wants it echoed on every request that
+  // changes something; see the CSRF middleware in server.js.
+  function csrfHeaders() {
+    const match = document.cookie.match(/(?:^|;\s*)taskrush\.csrf=([^;]*)/);
+    return match ? { "X-CSRF-Token": decodeURIComponent(match[1]) } : {};
+  }
+
+  async function postJSON(method, url, body) {
+    const res = await fetch(url, {
+      method,
+      headers: { "Content-Type": "application/json", ...csrfHeaders() },
+      credentials: 'include',
+      body: JSON.stringify(body),
+    });
+    const data = await res.json().catch(() => ({}));
+    return { res, data };
+  }
+
+  async function login(e) {
+    e.preventDefault();
+    const username = document.getElementById("login-username").value.trim();
+    const password = document.getElementById("login-password").value;
+    if (!username || !password) return;
+    if (mode === "signup" && password !== document.getElementById("login-confirm").value) {
+      authStatus.textContent = "Passwords do not match";
+      return;
+    }
+    try {
+      const { res, data } = await postJSON("POST", mode === "signup" ? "/auth/register" : "/auth/login", { username, password });
+      if (!res.ok) {
+        authStatus.textContent = data.error || (mode === "signup" ? "Sign up failed" : "Login failed");
+        return;
+      }
+      setAuthenticated({ username: data.username || username });
+    } catch (err) {
+      authStatus.textContent = "Network error";
+    }
+  }
+
+  async function changePassword(e) {
+    e.preventDefault();
+    const currentPassword = document.getElementById("current-password").value;
+    const newPassword = document.getElementById("new-password").value;
+    try {
+      const { res, data } = await postJSON("POST", "/auth/password", { currentPassword, newPassword });
+      accountMessage.textContent = res.ok ? "Password changed. Other sessions were signed out and API tokens revoked." : (data.error || "Password change failed");
+      if (res.ok) {
+        e.target.reset();
+        loadTokens();
+      }
+    } catch (err) {
+      accountMessage.textContent = "Network error";
+    }
+  }
+
+  async function loadActivity() {
+    const list = document.getElementById("login-activity");
+    try {
+      const res = await fetch("/auth/activity", { credentials: 'include' });
+      const entries = res.ok ? await res.json() : [];
+      list.innerHTML = "";
+      if (!entries.length) {
+        list.textContent = "No sign-in activity recorded yet.";
+        return;
+      }
+      entries.forEach((entry) => {
+        const li = document.createElement("li");
+        const outcome = entry.success ? "Signed in" : entry.reason === "locked" ? "Blocked (too many attempts)" : "Failed sign-in";
+        li.textContent = `${new Date(entry.at).toLocaleString()} · ${outcome} · ${entry.ip || "unknown IP"}`;
+        li.title = entry.userAgent || "";
+        if (!entry.success) li.classList.add("text-warning");
+        list.appendChild(li);
+      });
+    } catch (err) {
+      list.textContent = "Could not load sign-in activity.";
+    }
+  }
+
+  async function loadTokens() {
+    const list = document.getElementById("token-list");
+    try {
+      const res = await fetch("/auth/tokens", { credentials: 'include' });
+      const tokens = res.ok ? await res.json() : [];
+      list.innerHTML = "";
+      if (!tokens.length) {
+        list.textContent = "No tokens yet.";
+        return;
+      }
+      tokens.forEach((token) => {
+        const li = document.createElement("li");
+        li.className = "d-flex gap-2 align-items-center mb-1";
+        const label = document.createElement("span");
+        const used = token.lastUsedAt ? "last used " + new Date(token.lastUsedAt).toLocaleString() : "never used";
+        const expires = token.expiresAt ? ", expires " + new Date(token.expiresAt).toLocaleDateString() : "";
+        label.textContent = `${token.name} (${token.prefix}…, ${token.scopes.join("/")}, ${used}${expires})`;
+        const revoke = document.createElement("button");
+        revoke.type = "button";
+        revoke.className = "btn btn-outline-danger btn-sm";
+        revoke.textContent = "Revoke";
+        revoke.addEventListener("click", async () => {
+          if (!confirm(`Revoke token "${token.name}"? Scripts using it will stop working.`)) return;
+          await fetch(`/auth/tokens/${token.id}`, { method: "DELETE", headers: csrfHeaders(), credentials: 'include' });
+          loadTokens();
+        });
+        li.append(label, revoke);
+        list.appendChild(li);
+      });
+    } catch (err) {
+      list.textContent = "Could not load tokens.";
+    }
+  }
+
+  async function createToken(e) {
+    e.preventDefault();
+    const name = document.getElementById("token-name").value.trim();
+    const scope = document.getElementById("token-scope").value;
+    const expiry = document.getElementById("token-expiry").value;
+    const newToken = document.getElementById("new-token");
+    try {
+      const { res, data } = await postJSON("POST", "/auth/tokens", {
+        name,
+        scopes: scope === "write" ? ["read", "write"] : ["read"],
+        expiresInDays: expiry ? Number(expiry) : null,
+      });
+      if (!res.ok) {
+        accountMessage.textContent = data.error || "Token creation failed";
+        return;
+      }
+      newToken.textContent = "Copy this token now, it will not be shown again: " + data.token;
+      newToken.classList.remove("d-none");
+      e.target.reset();
+      loadTokens();
+    } catch (err) {
+      accountMessage.textContent = "Network error";
+    }
+  }
+
+  async function deleteAccount(e) {
+    e.preventDefault();
+    if (!confirm("Delete your account and all of your tasks? This cannot be undone.")) return;
+    const password = document.getElementById("delete-password").value;
+    try {
+      const { res, data } = await postJSON("DELETE", "/auth/account", { password });
+      if (!res.ok) {
+        accountMessage.textContent = data.error || "Account deletion failed";
+        return;
+      }
+      window.location.reload();
+    } catch (err) {
+      accountMessage.textContent = "Network error";
+    }
+  }
+
+  async function logout(e) {
+    e.preventDefault();
+    // Offline copies belong to this account; the next one starts clean.
+    localStorage.removeItem(CACHED_USER_KEY);
+    if (window.indexedDB) indexedDB.deleteDatabase("taskrush");
+    try {
+      await fetch("/auth/logout", { method: "POST", headers: csrfHeaders(), credentials: 'include' });
+      window.location.reload();
+    } catch (err) {
+      console.error("Logout failed", err);
+      window.location.reload();
+    }
+  }
+
+  loginForm.addEventListener("submit", login);
+  logoutBtn.addEventListener("click", logout);
+  modeSignin.addEventListener("click", () => setMode("signin"));
+  modeSignup.addEventListener("click", () => setMode("signup"));
+  document.getElementById("password-form").addEventListener("submit", changePassword);
+  document.getElementById("delete-account-form").addEventListener("submit", deleteAccount);
+  document.getElementById("token-form").addEventListener("submit", createToken);
+  accountSettings.addEventListener("toggle", () => {
+    if (accountSettings.open) {
+      loadTokens();
+      loadActivity();
+    }
+  });
+
+  // app.js keeps the signed-in user here so the app can still open
+  // without a connection. Only logout clears it: an expired session
+  // should not throw away changes still waiting to sync.
+  const CACHED_USER_KEY = "taskrush:user";
+  function cachedUser() {
+    try {
+      return JSON.parse(localStorage.getItem(CACHED_USER_KEY) || "null");
+    } catch (e) {
+      return null;
+    }
+  }
+
+  fetch("/auth/me", { credentials: 'include' }).then((r) => r.json()).then((json) => {
+    if (json && json.authenticated) {
+      setAuthenticated(json.user);
+    } else {
+      setAuthenticated(null);
+    }
+  }).catch(() => setAuthenticated(cachedUser(), { offline: true }));
+
+  if ("serviceWorker" in navigator) {
+    navigator.serviceWorker.register("/sw.js").catch((err) => console.error("Service worker registration failed", err));
+  }
+
+  let appScriptLoaded = false;
+  function loadAppScript() {
+    if (appScriptLoaded) return;
+    appScriptLoaded = true;
+    const s = document.createElement("script");
+    s.src = "app.js";
+    s.defer = false;
+    document.body.appendChild(s);
+  }
+
+  document.addEventListener("keydown", (ev) => {
+    if (ev.key === "l" && ev.altKey) {
+      document.getElementById("login-username")?.focus();
+    }
+  });
+})();
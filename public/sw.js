@@ -0,0 +1,59 @@
+// Keeps the app shell available offline. Pages and scripts from this origin
+// go network-first so a deploy shows up on the next load, falling back to the
+// cached copy; the CDN stylesheet and fonts are versioned URLs, so those are
+// served from the cache once fetched. API calls are never cached here: task
+// data lives in IndexedDB, managed by app.js.
+const SHELL_CACHE = "taskrush-shell-v2";
+const SHELL_FILES = ["/", "/index.html", "/auth.js", "/app.js", "/styles.css"];
+const CDN_HOSTS = ["cdn.jsdelivr.net", "fonts.googleapis.com", "fonts.gstatic.com"];
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    caches.open(SHELL_CACHE).then((cache) => cache.addAll(SHELL_FILES)).then(() => self.skipWaiting()),
+  );
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then((keys) => Promise.all(keys.filter((key) => key !== SHELL_CACHE).map((key) => caches.delete(key))))
+      .then(() => self.clients.claim()),
+  );
+});
+
+async function networkFirst(request) {
+  const cache = await caches.open(SHELL_CACHE);
+  try {
+    const response = await fetch(request);
+    if (response.ok) cache.put(request, response.clone());
+    return response;
+  } catch (err) {
+    const cached = await cache.match(request, { ignoreSearch: true })
+      || (request.mode === "navigate" ? await cache.match("/index.html") : undefined);
+    if (cached) return cached;
+    throw err;
+  }
+}
+
+async function cacheFirst(request) {
+  const cache = await caches.open(SHELL_CACHE);
+  const cached = await cache.match(request);
+  if (cached) return cached;
+  const response = await fetch(request);
+  // Cross-origin stylesheets and fonts come back opaque without CORS; they
+  // still render from the cache, so keep those too.
+  if (response.ok || response.type === "opaque") cache.put(request, response.clone());
+  return response;
+}
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  if (request.method !== "GET") return;
+  const url = new URL(request.url);
+  if (url.origin === self.location.origin) {
+    if (url.pathname.startsWith("/api/") || url.pathname.startsWith("/auth/")) return;
+    event.respondWith(networkFirst(request));
+  } else if (CDN_HOSTS.includes(url.hostname)) {
+    event.respondWith(cacheFirst(request));
+  }
+});
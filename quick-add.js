@@ -0,0 +1,309 @@
+// Quick-add: turns one line like "Ship invoice !high ~2h due fri #acme *" into
+// task fields. Like api-schema.js it has no database or server state, so the
+// API, scripts and tests can all use it directly.
+//
+//   !low !medium (!med) !high !critical (!crit)   priority
+//   ~2h ~30m ~1h30m ~1.5                           estimate (a bare number is hours)
+//   #name                                          tag
+//   *                                              important
+//   due <when> / by <when>                         deadline
+//
+// <when> is a date, a time, or both: today, tomorrow, fri, next fri, next
+// week, next month, in 3 days, in 2w, 2026-03-04, mar 4, 4th march 2027,
+// with an optional time like 5pm, at 9:30am, 17:00 or noon. Anything not
+// understood stays in the title, and the last of each marker wins.
+import { TAGS_PER_TASK_MAX, TAG_MAX_LENGTH } from "./api-schema.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const ESTIMATE_MAX_HOURS = 100;
+
+const PRIORITY_ALIASES = { low: "low", medium: "medium", med: "medium", high: "high", critical: "critical", crit: "critical" };
+const DEADLINE_KEYWORDS = ["due", "by"];
+
+const WEEKDAYS = {
+  sun: 0, sunday: 0,
+  mon: 1, monday: 1,
+  tue: 2, tues: 2, tuesday: 2,
+  wed: 3, weds: 3, wednesday: 3,
+  thu: 4, thur: 4, thurs: 4, thursday: 4,
+  fri: 5, friday: 5,
+  sat: 6, saturday: 6,
+};
+
+const MONTHS = {
+  jan: 1, january: 1,
+  feb: 2, february: 2,
+  mar: 3, march: 3,
+  apr: 4, april: 4,
+  may: 5,
+  jun: 6, june: 6,
+  jul: 7, july: 7,
+  aug: 8, august: 8,
+  sep: 9, sept: 9, september: 9,
+  oct: 10, october: 10,
+  nov: 11, november: 11,
+  dec: 12, december: 12,
+};
+
+const COUNT_WORDS = { a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10 };
+const UNITS = {
+  d: "day", day: "day", days: "day",
+  w: "week", wk: "week", wks: "week", week: "week", weeks: "week",
+  mo: "month", month: "month", months: "month",
+};
+
+const DAY_OF_MONTH_PATTERN = /^(\d{1,2})(?:st|nd|rd|th)?$/;
+const ISO_DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+const ESTIMATE_PATTERN = /^~(?:(\d+(?:\.\d+)?)h(?:rs?)?)?(?:(\d+)m(?:ins?)?)?$/;
+const BARE_ESTIMATE_PATTERN = /^~(\d+(?:\.\d+)?)$/;
+
+// Own keys only, so "constructor" isn't a weekday.
+function lookup(table, key) {
+  return Object.hasOwn(table, key) ? table[key] : undefined;
+}
+
+// Calendar dates are { year, month, day } and worked out in UTC, so DST
+// changes in the user's zone never shift them.
+function fromUtc(ms) {
+  const d = new Date(ms);
+  return { year: d.getUTCFullYear(), month: d.getUTCMonth() + 1, day: d.getUTCDate() };
+}
+
+function toUtc({ year, month, day }) {
+  return Date.UTC(year, month - 1, day);
+}
+
+function isRealDate(year, month, day) {
+  const d = fromUtc(Date.UTC(year, month - 1, day));
+  return d.year === year && d.month === month && d.day === day;
+}
+
+function addDays(date, days) {
+  return fromUtc(toUtc(date) + days * DAY_MS);
+}
+
+// Month arithmetic keeps the day when it can and otherwise takes the last day
+// of the month: a month after Jan 31 is Feb 28 (or 29).
+function addMonths(date, months) {
+  const index = date.year * 12 + date.month - 1 + months;
+  const year = Math.floor(index / 12);
+  const month = (index % 12) + 1;
+  const lastDay = new Date(Date.UTC(year, month, 0)).getUTCDate();
+  return { year, month, day: Math.min(date.day, lastDay) };
+}
+
+function weekday(date) {
+  return new Date(toUtc(date)).getUTCDay();
+}
+
+function todayIn(timeZone, now) {
+  const parts = new Intl.DateTimeFormat("en-US", { timeZone, year: "numeric", month: "numeric", day: "numeric" }).formatToParts(now);
+  const get = (type) => Number(parts.find((p) => p.type === type).value);
+  return { year: get("year"), month: get("month"), day: get("day") };
+}
+
+const pad = (n) => String(n).padStart(2, "0");
+
+function formatDate({ year, month, day }) {
+  return `${year}-${pad(month)}-${pad(day)}`;
+}
+
+// Month and day without a year: the next time that date comes round, today
+// included. Feb 29 waits for a leap year.
+function nextOccurrence(month, day, today) {
+  for (let year = today.year; year <= today.year + 8; year++) {
+    if (isRealDate(year, month, day) && toUtc({ year, month, day }) >= toUtc(today)) return { year, month, day };
+  }
+  return null;
+}
+
+function calendarDate(year, month, day, today) {
+  if (year !== null) return isRealDate(year, month, day) ? { year, month, day } : null;
+  return nextOccurrence(month, day, today);
+}
+
+// A bare weekday is the next one after today, so "fri" said on a Friday is a
+// week away. "next fri" is the Friday of next week (weeks start on Monday).
+function weekdayDate(target, today, nextWeek) {
+  if (!nextWeek) return addDays(today, ((target - weekday(today) + 6) % 7) + 1);
+  const monday = addDays(today, 7 - ((weekday(today) + 6) % 7));
+  return addDays(monday, (target + 6) % 7);
+}
+
+// Reads a date starting at words[i]. Returns { date, length }, { invalid,
+// length } for something shaped like a date that isn't one (feb 30), or null.
+function readDate(words, i, today) {
+  const word = words[i];
+  if (word === undefined) return null;
+  if (word === "today") return { date: today, length: 1 };
+  if (["tomorrow", "tmrw", "tmr"].includes(word)) return { date: addDays(today, 1), length: 1 };
+  if (lookup(WEEKDAYS, word) !== undefined) return { date: weekdayDate(WEEKDAYS[word], today, false), length: 1 };
+
+  if (word === "next") {
+    const what = words[i + 1];
+    if (lookup(WEEKDAYS, what) !== undefined) return { date: weekdayDate(WEEKDAYS[what], today, true), length: 2 };
+    if (what === "week") return { date: weekdayDate(1, today, true), length: 2 };
+    if (what === "month") return { date: { ...addMonths(today, 1), day: 1 }, length: 2 };
+    return null;
+  }
+
+  if (word === "in") {
+    const compact = /^(\d+)(d|w|wk|mo)$/.exec(words[i + 1] || "");
+    let count;
+    let unit;
+    let length;
+    if (compact) {
+      [count, unit, length] = [Number(compact[1]), lookup(UNITS, compact[2]), 2];
+    } else {
+      const n = words[i + 1];
+      count = /^\d+$/.test(n || "") ? Number(n) : lookup(COUNT_WORDS, n);
+      [unit, length] = [lookup(UNITS, words[i + 2]), 3];
+    }
+    if (!count || !unit || count > 1000) return null;
+    if (unit === "month") return { date: addMonths(today, count), length };
+    return { date: addDays(today, unit === "week" ? count * 7 : count), length };
+  }
+
+  const iso = ISO_DATE_PATTERN.exec(word);
+  if (iso) {
+    const date = calendarDate(...iso.slice(1, 4).map(Number), today);
+    return date ? { date, length: 1 } : { invalid: word, length: 1 };
+  }
+
+  // "mar 4", "mar 4 2027", "4 mar", "4th march 2027"
+  let month;
+  let dayMatch;
+  if (lookup(MONTHS, word)) {
+    month = MONTHS[word];
+    dayMatch = DAY_OF_MONTH_PATTERN.exec(words[i + 1] || "");
+  } else {
+    dayMatch = DAY_OF_MONTH_PATTERN.exec(word);
+    month = lookup(MONTHS, words[i + 1]);
+  }
+  if (!month || !dayMatch) return null;
+  const yearWord = words[i + 2];
+  const year = /^\d{4}$/.test(yearWord || "") ? Number(yearWord) : null;
+  const length = year === null ? 2 : 3;
+  const date = calendarDate(year, month, Number(dayMatch[1]), today);
+  return date ? { date, length } : { invalid: words.slice(i, i + length).join(" "), length };
+}
+
+// Reads a time of day starting at words[i], with an optional "at" before it.
+// Needs am/pm or a colon: "at 5" could mean either 5:00.
+function readTime(words, i) {
+  const at = words[i] === "at" ? 1 : 0;
+  const word = words[i + at];
+  if (word === undefined) return null;
+  if (word === "noon") return { time: { hour: 12, minute: 0 }, length: at + 1 };
+
+  let match = /^(\d{1,2})(?::(\d{2}))?(am|pm)$/.exec(word);
+  let length = at + 1;
+  if (!match && ["am", "pm"].includes(words[i + at + 1])) {
+    match = /^(\d{1,2})(?::(\d{2}))?$/.exec(word);
+    if (match) match = [...match.slice(0, 3), words[i + at + 1]];
+    length += 1;
+  }
+  if (match) {
+    const hour = Number(match[1]);
+    const minute = Number(match[2] || 0);
+    if (hour < 1 || hour > 12 || minute > 59) return null;
+    return { time: { hour: (hour % 12) + (match[3] === "pm" ? 12 : 0), minute }, length };
+  }
+
+  const clock = /^(\d{1,2}):(\d{2})$/.exec(word);
+  if (!clock || Number(clock[1]) > 23 || Number(clock[2]) > 59) return null;
+  return { time: { hour: Number(clock[1]), minute: Number(clock[2]) }, length: at + 1 };
+}
+
+// The deadline phrase after "due" or "by": a date, a time, or both in either
+// order. A time on its own is today.
+function readDeadline(words, i, today) {
+  const date = readDate(words, i, today);
+  if (date?.invalid) return date;
+  if (date) {
+    const time = readTime(words, i + date.length);
+    return { date: date.date, time: time?.time ?? null, length: date.length + (time?.length ?? 0) };
+  }
+  const time = readTime(words, i);
+  if (!time) return null;
+  const after = readDate(words, i + time.length, today);
+  if (after?.invalid) return { invalid: after.invalid, length: time.length + after.length };
+  return { date: after?.date ?? today, time: time.time, length: time.length + (after?.length ?? 0) };
+}
+
+function readEstimate(token) {
+  const bare = BARE_ESTIMATE_PATTERN.exec(token);
+  if (bare) return Number(bare[1]);
+  const match = ESTIMATE_PATTERN.exec(token);
+  if (!match || (match[1] === undefined && match[2] === undefined)) return null;
+  return Math.round((Number(match[1] || 0) + Number(match[2] || 0) / 60) * 100) / 100;
+}
+
+// Returns { fields, warnings }. fields holds the title and whatever markers
+// were found (priority, estimateHrs, deadline, timezone, tags, important),
+// ready for POST /api/tasks. A deadline comes back as YYYY-MM-DD, or as
+// YYYY-MM-DDTHH:MM on the clock in timeZone, which is returned with it.
+// Throws a RangeError for an unknown timeZone.
+export function parseQuickAdd(text, { now = new Date(), timeZone = "UTC" } = {}) {
+  const today = todayIn(timeZone, now);
+  const tokens = String(text).trim().split(/\s+/).filter(Boolean);
+  // Matching ignores case and a trailing comma ("due fri, #acme").
+  const words = tokens.map((t) => t.toLowerCase().replace(/,$/, ""));
+  const fields = {};
+  const tags = [];
+  const warnings = [];
+  const title = [];
+
+  for (let i = 0; i < tokens.length; i++) {
+    const word = words[i];
+    if (word === "*") {
+      fields.important = true;
+      continue;
+    }
+    if (word.startsWith("!") && word.length > 1) {
+      const priority = lookup(PRIORITY_ALIASES, word.slice(1));
+      if (priority) {
+        fields.priority = priority;
+        continue;
+      }
+      if (/^![a-z]+$/.test(word)) warnings.push(`"${tokens[i]}" is not a priority; use !low, !medium, !high or !critical`);
+    }
+    if (word.startsWith("~") && word.length > 1) {
+      const hours = readEstimate(word);
+      if (hours > 0 && hours <= ESTIMATE_MAX_HOURS) {
+        fields.estimateHrs = hours;
+        continue;
+      }
+      warnings.push(hours === null
+        ? `"${tokens[i]}" is not an estimate; use hours or minutes like ~2h or ~30m`
+        : `Estimates must be more than 0 and at most ${ESTIMATE_MAX_HOURS} hours`);
+    }
+    if (word.startsWith("#") && word.length > 1) {
+      const tag = word.slice(1);
+      if (tag.length <= TAG_MAX_LENGTH && !/[,#]/.test(tag)) {
+        if (!tags.includes(tag)) tags.push(tag);
+        continue;
+      }
+      warnings.push(`"${tokens[i]}" is not a tag: at most ${TAG_MAX_LENGTH} characters, no commas or #`);
+    }
+    if (DEADLINE_KEYWORDS.includes(word)) {
+      const deadline = readDeadline(words, i + 1, today);
+      if (deadline?.invalid) {
+        warnings.push(`"${deadline.invalid}" is not a date`);
+      } else if (deadline) {
+        const { date, time } = deadline;
+        fields.deadline = time ? `${formatDate(date)}T${pad(time.hour)}:${pad(time.minute)}` : formatDate(date);
+        fields.timezone = timeZone;
+        i += deadline.length;
+        continue;
+      }
+    }
+    title.push(tokens[i]);
+  }
+
+  fields.title = title.join(" ");
+  if (!fields.title) warnings.push("Nothing is left for the title");
+  if (tags.length > TAGS_PER_TASK_MAX) warnings.push(`A task can have at most ${TAGS_PER_TASK_MAX} tags`);
+  if (tags.length) fields.tags = tags;
+  return { fields, warnings };
+}
@@ -0,0 +1,142 @@
+// Regenerates public/postman_collection.json from the OpenAPI document in
+// api-schema.js. Run it after changing the document:
+//
+//   npm run postman
+//
+// Every documented operation becomes a request named "<tag> - <summary>",
+// with the documented example as its body. Folders in the existing file are
+// kept as they are; the "Unversioned routes" folder holds hand-written
+// requests for the /api routes the document doesn't cover.
+import { readFileSync, writeFileSync } from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+import { openApiDocument } from "../api-schema.js";
+
+const OUT = path.join(path.dirname(fileURLToPath(import.meta.url)), "..", "public", "postman_collection.json");
+const HOST = "localhost";
+const PORT = "3000";
+const METHODS = ["get", "post", "put", "patch", "delete"];
+
+// Test scripts for requests whose responses feed collection variables.
+const TEST_SCRIPTS = {
+  createToken: [
+    "if (pm.response.code === 201) {",
+    "  pm.collectionVariables.set('token', pm.response.json().token);",
+    "}",
+  ],
+};
+
+// Collection-wide scripts for session-cookie requests: the server sets a CSRF
+// token in the taskrush.csrf cookie and wants it back in X-CSRF-Token on
+// anything that isn't a GET. The test script keeps {{csrfToken}} in step with
+// the cookie and the pre-request script sends it. Token requests don't need it.
+const COLLECTION_EVENTS = [
+  {
+    listen: "prerequest",
+    script: {
+      type: "text/javascript",
+      exec: [
+        "const csrfToken = pm.collectionVariables.get('csrfToken');",
+        "if (csrfToken && pm.request.method !== 'GET') {",
+        "  pm.request.headers.upsert({ key: 'X-CSRF-Token', value: csrfToken });",
+        "}",
+      ],
+    },
+  },
+  {
+    listen: "test",
+    script: {
+      type: "text/javascript",
+      exec: [
+        "const csrfCookie = pm.cookies.get('taskrush.csrf');",
+        "if (csrfCookie) pm.collectionVariables.set('csrfToken', csrfCookie);",
+      ],
+    },
+  },
+];
+
+function exampleValue(param) {
+  const value = param.example ?? param.schema?.default ?? "";
+  return String(value);
+}
+
+function requestUrl(pathTemplate, params) {
+  const segments = pathTemplate.split("/").filter(Boolean).map((seg) => seg.replace(/^\{(.+)\}$/, ":$1"));
+  const query = params.filter((p) => p.in === "query").map((p) => ({
+    key: p.name,
+    value: exampleValue(p),
+    ...(p.description ? { description: p.description } : {}),
+    disabled: !p.required,
+  }));
+  const variable = params.filter((p) => p.in === "path").map((p) => ({ key: p.name, value: "", description: p.description || "" }));
+  return {
+    raw: `http://${HOST}:${PORT}/${segments.join("/")}`,
+    protocol: "http",
+    host: [HOST],
+    port: PORT,
+    path: segments,
+    ...(query.length ? { query } : {}),
+    ...(variable.length ? { variable } : {}),
+  };
+}
+
+function requestItem(doc, pathTemplate, method, op, shared) {
+  const params = [...shared, ...(op.parameters || [])];
+  const header = params.filter((p) => p.in === "header").map((p) => ({
+    key: p.name,
+    value: exampleValue(p),
+    ...(p.description ? { description: p.description } : {}),
+    disabled: !p.required,
+  }));
+  const content = op.requestBody?.content?.["application/json"];
+  if (content) header.unshift({ key: "Content-Type", value: "application/json" });
+
+  const security = op.security ?? doc.security;
+  const usesToken = security.some((s) => s.bearerAuth);
+  const item = {
+    name: `${op.tags[0]} - ${op.summary}`,
+    request: {
+      method: method.toUpperCase(),
+      header,
+      ...(content ? { body: { mode: "raw", raw: JSON.stringify(content.example ?? {}, null, 2) } } : {}),
+      url: requestUrl(pathTemplate, params),
+      ...(op.description ? { description: op.description } : {}),
+      ...(usesToken ? {} : { auth: { type: "noauth" } }),
+    },
+    response: [],
+  };
+  if (TEST_SCRIPTS[op.operationId]) {
+    item.event = [{ listen: "test", script: { type: "text/javascript", exec: TEST_SCRIPTS[op.operationId] } }];
+  }
+  return item;
+}
+
+const doc = openApiDocument();
+const existing = JSON.parse(readFileSync(OUT, "utf8"));
+const generated = [];
+Object.entries(doc.paths).forEach(([pathTemplate, entry]) => {
+  METHODS.forEach((method) => {
+    if (entry[method]) generated.push(requestItem(doc, pathTemplate, method, entry[method], entry.parameters || []));
+  });
+});
+
+const collection = {
+  ...existing,
+  info: {
+    ...existing.info,
+    description: `${doc.info.title} ${doc.info.version}, generated from /api/v1/openapi.json by scripts/build-postman.js. `
+      + "Task requests authenticate with the {{token}} collection variable: sign in, then run \"Auth - Create an API token\" "
+      + "once (it stores the token automatically), or paste a token created in the account panel. "
+      + "Signed-in requests also need a CSRF token; run \"Auth - Current user\" first and the collection scripts handle it from there.",
+    version: doc.info.version,
+  },
+  event: COLLECTION_EVENTS,
+  variable: [
+    ...existing.variable.filter((v) => v.key !== "csrfToken"),
+    { key: "csrfToken", value: "", type: "string" },
+  ],
+  item: [...generated, ...existing.item.filter((item) => Array.isArray(item.item))],
+};
+writeFileSync(OUT, JSON.stringify(collection, null, 2) + "\n");
+console.log(`Wrote ${generated.length} requests to ${path.relative(process.cwd(), OUT)}`);
@@ -0,0 +1,211 @@
+import assert from "node:assert/strict";
+import { after, before, describe, test } from "node:test";
+
+import { PASSWORD, TASK, createClient, deliverDueReminders, openEventStream, signedInClient, startServer, stopServer, uniqueUsername } from "./helpers.js";
+
+before(startServer);
+after(stopServer);
+
+describe("POST /auth/register", () => {
+  test("creates the account and signs it in", async () => {
+    const client = createClient();
+    const username = uniqueUsername();
+    const res = await client.post("/auth/register", { username: username.toUpperCase(), password: PASSWORD });
+    assert.equal(res.status, 201);
+    assert.equal(res.body.username, username);
+    assert.ok(client.cookies["taskrush.sid"]);
+
+    const me = await client.get("/auth/me");
+    assert.equal(me.body.authenticated, true);
+    assert.equal(me.body.user.username, username);
+  });
+
+  test("rejects a taken username", async () => {
+    const first = await signedInClient();
+    const res = await createClient().post("/auth/register", { username: first.username, password: PASSWORD });
+    assert.equal(res.status, 409);
+    assert.equal(res.body.code, "USERNAME_TAKEN");
+  });
+
+  test("requires both fields", async () => {
+    const res = await createClient().post("/auth/register", { username: uniqueUsername() });
+    assert.equal(res.status, 400);
+    assert.equal(res.body.code, "MISSING_FIELDS");
+  });
+
+  test("rejects invalid usernames", async () => {
+    const res = await createClient().post("/auth/register", { username: "a b", password: PASSWORD });
+    assert.equal(res.status, 400);
+    assert.equal(res.body.code, "INVALID_USERNAME");
+  });
+
+  test("lists everything a weak password is missing", async () => {
+    const res = await createClient().post("/auth/register", { username: uniqueUsername(), password: "short" });
+    assert.equal(res.status, 400);
+    assert.equal(res.body.code, "WEAK_PASSWORD");
+    assert.deepEqual(res.body.problems, ["at least 8 characters", "a digit"]);
+  });
+});
+
+describe("POST /auth/login", () => {
+  test("signs in with the right password", async () => {
+    const { username } = await signedInClient();
+    const client = createClient();
+    const res = await client.post("/auth/login", { username, password: PASSWORD });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.username, username);
+    assert.equal((await client.get("/auth/me")).body.authenticated, true);
+  });
+
+  test("rejects a wrong password or unknown user the same way", async () => {
+    const { username } = await signedInClient();
+    const wrong = await createClient().post("/auth/login", { username, password: "wrong-password-1" });
+    const unknown = await createClient().post("/auth/login", { username: uniqueUsername(), password: PASSWORD });
+    for (const res of [wrong, unknown]) {
+      assert.equal(res.status, 401);
+      assert.equal(res.body.code, "INVALID_CREDENTIALS");
+    }
+  });
+
+  test("backs off after repeated failures", async () => {
+    const { username } = await signedInClient();
+    for (let i = 0; i < 4; i++) await createClient().post("/auth/login", { username, password: "wrong-password-1" });
+    const res = await createClient().post("/auth/login", { username, password: PASSWORD });
+    assert.equal(res.status, 429);
+    assert.equal(res.body.code, "TOO_MANY_ATTEMPTS");
+    assert.ok(Number(res.headers.get("retry-after")) > 0);
+  });
+
+  test("requires both fields", async () => {
+    const res = await createClient().post("/auth/login", { password: PASSWORD });
+    assert.equal(res.status, 400);
+    assert.equal(res.body.code, "MISSING_FIELDS");
+  });
+});
+
+describe("sessions", () => {
+  test("task routes need a session", async () => {
+    const res = await createClient().get("/api/tasks");
+    assert.equal(res.status, 401);
+  });
+
+  test("/auth/me reports signed-out visitors", async () => {
+    const res = await createClient().get("/auth/me");
+    assert.equal(res.status, 200);
+    assert.equal(res.body.authenticated, false);
+  });
+
+  test("logout ends the session for every holder of the cookie", async () => {
+    const client = await signedInClient();
+    const copy = createClient();
+    copy.cookies = { ...client.cookies };
+    assert.equal((await copy.get("/api/tasks")).status, 200);
+
+    const res = await client.post("/auth/logout");
+    assert.equal(res.status, 200);
+    assert.equal((await copy.get("/api/tasks")).status, 401);
+    assert.equal((await copy.get("/auth/me")).body.authenticated, false);
+  });
+
+  test("changing the password signs out other sessions only", async () => {
+    const client = await signedInClient();
+    const other = createClient();
+    await other.post("/auth/login", { username: client.username, password: PASSWORD });
+
+    const res = await client.post("/auth/password", { currentPassword: PASSWORD, newPassword: "another-horse-43" });
+    assert.equal(res.status, 200);
+    assert.equal((await client.get("/api/tasks")).status, 200);
+    assert.equal((await other.get("/api/tasks")).status, 401);
+
+    const old = await createClient().post("/auth/login", { username: client.username, password: PASSWORD });
+    assert.equal(old.status, 401);
+  });
+
+  test("changing the password revokes API tokens", async () => {
+    const client = await signedInClient();
+    const created = await client.post("/auth/tokens", { name: "script", scopes: ["read"] });
+    const headers = { Authorization: `Bearer ${created.body.token}` };
+    assert.equal((await createClient().get("/api/tasks", { headers })).status, 200);
+
+    const res = await client.post("/auth/password", { currentPassword: PASSWORD, newPassword: "another-horse-43" });
+    assert.equal(res.status, 200);
+    assert.equal((await createClient().get("/api/tasks", { headers })).status, 401);
+    assert.deepEqual((await client.get("/auth/tokens")).body, []);
+  });
+
+  test("deleting the account signs it out and frees the username", async () => {
+    const client = await signedInClient();
+    const wrong = await client.delete("/auth/account", { body: { password: "wrong-password-1" } });
+    assert.equal(wrong.status, 401);
+
+    const res = await client.delete("/auth/account", { body: { password: PASSWORD } });
+    assert.equal(res.status, 200);
+    assert.equal((await client.get("/auth/me")).body.authenticated, false);
+    const again = await createClient().post("/auth/register", { username: client.username, password: PASSWORD });
+    assert.equal(again.status, 201);
+  });
+});
+
+describe("API tokens", () => {
+  async function tokenClient(scopes) {
+    const owner = await signedInClient();
+    const created = await owner.post("/auth/tokens", { name: "script", scopes });
+    assert.equal(created.status, 201);
+    const script = createClient();
+    const headers = { Authorization: `Bearer ${created.body.token}` };
+    return {
+      owner,
+      headers,
+      get: (url) => script.get(url, { headers }),
+      post: (url, body) => script.post(url, body, { csrf: false, headers }),
+    };
+  }
+
+  test("work with the task routes, within their scopes", async () => {
+    const reader = await tokenClient(["read"]);
+    assert.equal((await reader.get("/api/tasks")).status, 200);
+    const denied = await reader.post("/api/tasks", TASK);
+    assert.equal(denied.status, 403);
+
+    const writer = await tokenClient(["read", "write"]);
+    assert.equal((await writer.post("/api/tasks", TASK)).status, 200);
+  });
+
+  test("can't reach settings, notifications, webhooks or projects", async () => {
+    const { owner, get, post } = await tokenClient(["read", "write"]);
+    for (const url of ["/api/settings/urgency", "/api/settings/notifications", "/api/notifications", "/api/webhooks", "/api/projects"]) {
+      assert.equal((await get(url)).status, 401, url);
+    }
+    const project = await owner.post("/api/projects", { name: "Private" });
+    assert.equal(project.status, 201);
+    const hook = await post("/api/webhooks", { url: "https://example.com/hook", events: ["task.created"] });
+    assert.equal(hook.status, 401);
+    const member = await post(`/api/projects/${project.body.id}/members`, { username: "someone", role: "editor" });
+    assert.equal(member.status, 401);
+    assert.deepEqual((await owner.get("/api/webhooks")).body.webhooks, []);
+  });
+
+  test("only get task events on the live stream", { timeout: 15000 }, async () => {
+    const { owner, headers } = await tokenClient(["read"]);
+    const script = await openEventStream(headers);
+    const session = await openEventStream({ Cookie: owner.cookieHeader });
+    assert.equal(script.status, 200);
+    try {
+      assert.equal((await owner.put("/api/settings/urgency", { reset: true })).status, 200);
+      const soon = new Date(Date.now() + 30 * 60 * 1000).toISOString().slice(0, 16);
+      await owner.post("/api/tasks", { ...TASK, deadline: soon, timezone: "UTC", reminders: [{ minutesBefore: 60 }] });
+      assert.equal(await deliverDueReminders(), 1);
+      await owner.post("/api/tasks", { ...TASK, title: "Last" });
+
+      const isLast = (e) => e.type === "task.created" && e.data.task.title === "Last";
+      const sessionTypes = (await session.until(isLast)).map((e) => e.type);
+      assert.ok(sessionTypes.includes("settings.updated"));
+      assert.ok(sessionTypes.includes("notification.created"));
+      const scriptTypes = (await script.until(isLast)).map((e) => e.type);
+      assert.deepEqual(scriptTypes, ["task.created", "task.created"]);
+    } finally {
+      script.close();
+      session.close();
+    }
+  });
+});
@@ -0,0 +1,139 @@
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+
+import { computeDerived, computeUrgency } from "./helpers.js";
+
+const HOUR_MS = 60 * 60 * 1000;
+
+function task(fields = {}) {
+  return { priority: "high", estimateHrs: 2, loggedHrs: 0, important: false, status: "active", deadline: null, ...fields };
+}
+
+function hoursFromNow(hours) {
+  return new Date(Date.now() + hours * HOUR_MS);
+}
+
+// Scores are rounded to two places and computed against the clock.
+function assertClose(actual, expected) {
+  assert.ok(Math.abs(actual - expected) < 0.05, `expected ${actual} to be close to ${expected}`);
+}
+
+describe("computeDerived", () => {
+  test("sets the fields on the task it returns", () => {
+    const t = task();
+    assert.equal(computeDerived(t), t);
+    assert.equal(t.urgencyScore, 3);
+    assert.equal(t.nextReminderAt, null);
+  });
+
+  test("scores tasks without a deadline by priority and importance alone", () => {
+    assert.equal(computeDerived(task({ priority: "low" })).urgencyScore, 1);
+    assert.equal(computeDerived(task({ priority: "critical", important: true })).urgencyScore, 7.5);
+  });
+
+  test("treats an unknown priority as the lowest weight", () => {
+    assert.equal(computeDerived(task({ priority: "someday" })).urgencyScore, 1);
+  });
+
+  test("scores done tasks 0 and drops their reminders", () => {
+    const t = computeDerived(task({
+      status: "done",
+      deadline: hoursFromNow(-5),
+      deadlineHasTime: true,
+      reminders: [{ minutesBefore: 0 }],
+    }));
+    assert.equal(t.urgencyScore, 0);
+    assert.equal(t.nextReminderAt, null);
+  });
+
+  test("grows as the slack before the deadline shrinks", () => {
+    const score = (hours) => computeDerived(task({ deadline: hoursFromNow(hours), deadlineHasTime: true })).urgencyScore;
+    assertClose(score(26), 3);
+    assertClose(score(14), 3 * 24 / 12);
+    assert.ok(score(26) < score(14));
+  });
+
+  test("caps at 24x once less than an hour of slack is left", () => {
+    assertClose(computeDerived(task({ deadline: hoursFromNow(2.5), deadlineHasTime: true })).urgencyScore, 72);
+    assertClose(computeDerived(task({ deadline: hoursFromNow(0.5), deadlineHasTime: true })).urgencyScore, 72);
+  });
+
+  test("keeps growing past the deadline", () => {
+    const oneDay = computeDerived(task({ deadline: hoursFromNow(-24), deadlineHasTime: true })).urgencyScore;
+    const twoDays = computeDerived(task({ deadline: hoursFromNow(-48), deadlineHasTime: true })).urgencyScore;
+    assertClose(oneDay, 3 * 24 * 1.5);
+    assertClose(twoDays, 3 * 24 * 2);
+  });
+
+  test("counts logged time off the estimate, never below nothing left", () => {
+    const deadline = hoursFromNow(13);
+    const fresh = computeDerived(task({ estimateHrs: 5, deadline, deadlineHasTime: true })).urgencyScore;
+    const halfway = computeDerived(task({ estimateHrs: 5, loggedHrs: 2.5, deadline, deadlineHasTime: true })).urgencyScore;
+    const overrun = computeDerived(task({ estimateHrs: 5, loggedHrs: 9, deadline, deadlineHasTime: true })).urgencyScore;
+    assertClose(fresh, 3 * 24 / 8);
+    assertClose(halfway, 3 * 24 / 10.5);
+    assertClose(overrun, 3 * 24 / 13);
+  });
+
+  test("uses the weights it is given", () => {
+    const weights = { priority: { low: 1, medium: 2, high: 10, critical: 20 }, important: 3, remainingWork: 0, overdue: 0 };
+    assert.equal(computeDerived(task({ important: true }), weights).urgencyScore, 30);
+    // With remainingWork 0 the estimate doesn't eat into the slack.
+    assertClose(computeDerived(task({ estimateHrs: 20, deadline: hoursFromNow(24), deadlineHasTime: true }), weights).urgencyScore, 10);
+    // With overdue 0 the score stays at the 24x ceiling.
+    assertClose(computeDerived(task({ deadline: hoursFromNow(-72), deadlineHasTime: true }), weights).urgencyScore, 240);
+  });
+
+  test("schedules the earliest reminder that is still to come", () => {
+    const deadline = hoursFromNow(48);
+    const t = computeDerived(task({
+      deadline,
+      deadlineHasTime: true,
+      reminders: [{ minutesBefore: 60 }, { minutesBefore: 24 * 60 }],
+    }));
+    assert.equal(t.nextReminderAt.getTime(), deadline.getTime() - 24 * HOUR_MS);
+  });
+
+  test("skips reminders already sent for the current deadline", () => {
+    const deadline = hoursFromNow(48);
+    const t = computeDerived(task({
+      deadline,
+      deadlineHasTime: true,
+      reminders: [{ minutesBefore: 60 }, { minutesBefore: 24 * 60 }],
+      remindersSent: [{ minutesBefore: 24 * 60, dueAt: deadline }],
+    }));
+    assert.equal(t.nextReminderAt.getTime(), deadline.getTime() - HOUR_MS);
+  });
+
+  test("counts date-only deadlines from 9:00 in the task's timezone", () => {
+    const t = computeDerived(task({
+      deadline: new Date("2099-03-10T00:00:00Z"),
+      deadlineHasTime: false,
+      timezone: "America/New_York",
+      reminders: [{ minutesBefore: 0 }],
+    }));
+    assert.equal(t.nextReminderAt.toISOString(), "2099-03-10T13:00:00.000Z");
+  });
+
+  test("has no reminder for deleted tasks or deadlines long gone", () => {
+    const reminders = [{ minutesBefore: 0 }];
+    assert.equal(computeDerived(task({ deadline: hoursFromNow(5), deadlineHasTime: true, reminders, deletedAt: new Date() })).nextReminderAt, null);
+    assert.equal(computeDerived(task({ deadline: hoursFromNow(-2), deadlineHasTime: true, reminders })).nextReminderAt, null);
+  });
+});
+
+describe("computeUrgency", () => {
+  test("explains the score", () => {
+    const now = new Date("2026-01-01T00:00:00Z");
+    const breakdown = computeUrgency(task({ important: true, deadline: new Date("2026-01-02T02:00:00Z") }), undefined, now);
+    assert.deepEqual(breakdown, {
+      base: 3,
+      importantMultiplier: 1.5,
+      hoursLeft: 26,
+      workHours: 2,
+      overdueDays: 0,
+      timeFactor: 1,
+      score: 4.5,
+    });
+  });
+});
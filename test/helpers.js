@@ -0,0 +1,158 @@
+// Shared setup for the integration tests: an in-memory MongoDB from
+// mongodb-memory-server (its mongod binary is downloaded once, when the package
+// installs, into the downloadDir set in package.json, so runs after that need
+// no network; MONGOMS_SYSTEM_BINARY picks a local mongod instead), the app
+// listening on a free port, and a small fetch client that keeps its cookies and
+// sends the CSRF token back the way the browser app does.
+import { MongoMemoryServer } from "mongodb-memory-server";
+import mongoose from "mongoose";
+import process from "node:process";
+
+process.env.SESSION_SECRET ||= "test-session-secret";
+
+// Imported after the environment is set; server.js reads it on load.
+const server = await import("../server.js");
+
+export const { app, computeDerived, computeUrgency, deliverDueReminders, sendWebhookRequest, validateWebhookUrl, webhookAddressBlocked, webhookLookup } = server;
+
+let mongod;
+let listener;
+let baseUrl;
+
+export async function startServer() {
+  try {
+    mongod = await MongoMemoryServer.create();
+  } catch (err) {
+    throw new Error(
+      "Could not start MongoDB for the tests. npm install downloads it once into node_modules/.cache/mongodb-memory-server; "
+        + "without that copy (offline, or installed with --ignore-scripts), set MONGOMS_SYSTEM_BINARY to a local mongod.",
+      { cause: err },
+    );
+  }
+  await server.connectDb(mongod.getUri("taskrush-test"));
+  await new Promise((resolve) => {
+    listener = app.listen(0, "127.0.0.1", resolve);
+  });
+  baseUrl = `http://127.0.0.1:${listener.address().port}`;
+}
+
+export async function stopServer() {
+  if (listener) await new Promise((resolve) => listener.close(resolve));
+  await mongoose.disconnect();
+  await mongod?.stop();
+}
+
+const SAFE_METHODS = ["GET", "HEAD", "OPTIONS"];
+
+export function createClient() {
+  const client = {
+    cookies: {},
+    get cookieHeader() {
+      return Object.entries(client.cookies).map(([name, value]) => `${name}=${value}`).join("; ");
+    },
+    get csrfToken() {
+      const value = client.cookies["taskrush.csrf"];
+      return value === undefined ? undefined : decodeURIComponent(value);
+    },
+    async request(method, url, { body, headers = {}, csrf = true } = {}) {
+      // Like a page load in the browser: the first visit hands out the token.
+      if (csrf && !SAFE_METHODS.includes(method) && client.csrfToken === undefined) await client.get("/auth/me");
+      const res = await fetch(baseUrl + url, {
+        method,
+        headers: {
+          ...(client.cookieHeader ? { Cookie: client.cookieHeader } : {}),
+          ...(csrf && !SAFE_METHODS.includes(method) ? { "X-CSRF-Token": client.csrfToken } : {}),
+          ...(body !== undefined && typeof body !== "string" ? { "Content-Type": "application/json" } : {}),
+          ...headers,
+        },
+        body: body === undefined || typeof body === "string" ? body : JSON.stringify(body),
+      });
+      for (const setCookie of res.headers.getSetCookie()) {
+        const [pair, ...attributes] = setCookie.split(";");
+        const eq = pair.indexOf("=");
+        const name = pair.slice(0, eq).trim();
+        const cleared = attributes.some((a) => /^\s*expires=Thu, 01 Jan 1970/i.test(a));
+        if (cleared) delete client.cookies[name];
+        else client.cookies[name] = pair.slice(eq + 1).trim();
+      }
+      const text = await res.text();
+      let data = text;
+      try {
+        data = JSON.parse(text);
+      } catch {
+        // Not JSON (CSV, calendars); keep the text.
+      }
+      return { status: res.status, headers: res.headers, body: data };
+    },
+    get: (url, options) => client.request("GET", url, options),
+    post: (url, body, options) => client.request("POST", url, { ...options, body }),
+    put: (url, body, options) => client.request("PUT", url, { ...options, body }),
+    delete: (url, options) => client.request("DELETE", url, options),
+  };
+  return client;
+}
+
+// Opens the live event stream. until(match) reads events as they arrive and
+// returns every one up to and including the first that match accepts.
+export async function openEventStream(headers) {
+  const controller = new AbortController();
+  const res = await fetch(`${baseUrl}/api/events`, { headers, signal: controller.signal });
+  const reader = res.body.pipeThrough(new TextDecoderStream()).getReader();
+  let buffer = "";
+  return {
+    status: res.status,
+    async until(match) {
+      const seen = [];
+      for (;;) {
+        let end;
+        while ((end = buffer.indexOf("\n\n")) !== -1) {
+          const block = buffer.slice(0, end);
+          buffer = buffer.slice(end + 2);
+          const type = /^event: (.*)$/m.exec(block)?.[1];
+          if (!type) continue;
+          const event = { type, data: JSON.parse(/^data: (.*)$/m.exec(block)[1]) };
+          seen.push(event);
+          if (match(event)) return seen;
+        }
+        const { value, done } = await reader.read();
+        if (done) throw new Error("The event stream ended");
+        buffer += value;
+      }
+    },
+    close: () => controller.abort(),
+  };
+}
+
+let userCount = 0;
+
+export const PASSWORD = "correct-horse-42";
+
+export function uniqueUsername(prefix = "user") {
+  userCount += 1;
+  return `${prefix}${userCount}.${process.pid}`;
+}
+
+// A client signed in as a new account.
+export async function signedInClient(prefix) {
+  const client = createClient();
+  const username = uniqueUsername(prefix);
+  const res = await client.post("/auth/register", { username, password: PASSWORD });
+  if (res.status !== 201) throw new Error(`register failed: ${res.status} ${JSON.stringify(res.body)}`);
+  client.username = username;
+  return client;
+}
+
+export const TASK = { title: "Write report", priority: "high", estimateHrs: 2 };
+
+// Creates a task through POST /api/tasks and returns it as serialized.
+export async function createTask(client, fields = {}) {
+  const title = fields.title ?? `${TASK.title} ${++userCount}`;
+  const res = await client.post("/api/tasks", { ...TASK, ...fields, title });
+  if (res.status !== 200) throw new Error(`create failed: ${res.status} ${JSON.stringify(res.body)}`);
+  return res.body.find((t) => t.title === title);
+}
+
+// YYYY-MM-DD, `days` from today (UTC).
+export function dateFromToday(days) {
+  return new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+}
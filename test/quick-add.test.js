@@ -0,0 +1,244 @@
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+
+import { parseQuickAdd } from "../quick-add.js";
+
+// A Wednesday, noon UTC.
+const WEDNESDAY = new Date("2026-10-21T12:00:00Z");
+
+function parse(text, options = {}) {
+  return parseQuickAdd(text, { now: WEDNESDAY, ...options });
+}
+
+function deadline(text, options) {
+  return parse(text, options).fields.deadline;
+}
+
+describe("parseQuickAdd", () => {
+  test("reads every marker in one line", () => {
+    assert.deepEqual(parse("Ship invoice !high ~2h due fri #acme *"), {
+      fields: {
+        title: "Ship invoice",
+        priority: "high",
+        estimateHrs: 2,
+        deadline: "2026-10-23",
+        timezone: "UTC",
+        tags: ["acme"],
+        important: true,
+      },
+      warnings: [],
+    });
+  });
+
+  test("leaves plain text alone", () => {
+    assert.deepEqual(parse("  Call   the bank  "), { fields: { title: "Call the bank" }, warnings: [] });
+  });
+
+  test("warns when nothing is left for the title", () => {
+    const { fields, warnings } = parse("!high ~1h");
+    assert.equal(fields.title, "");
+    assert.deepEqual(warnings, ["Nothing is left for the title"]);
+  });
+});
+
+describe("priority", () => {
+  test("takes names and short forms, the last one winning", () => {
+    assert.equal(parse("a !med").fields.priority, "medium");
+    assert.equal(parse("a !CRIT").fields.priority, "critical");
+    assert.equal(parse("a !low !high").fields.priority, "high");
+  });
+
+  test("keeps unknown priorities in the title with a warning", () => {
+    const { fields, warnings } = parse("Fix it !urgent");
+    assert.equal(fields.title, "Fix it !urgent");
+    assert.equal(fields.priority, undefined);
+    assert.match(warnings[0], /"!urgent" is not a priority/);
+  });
+
+  test("ignores exclamation marks that aren't markers", () => {
+    assert.deepEqual(parse("Ship it! !!"), { fields: { title: "Ship it! !!" }, warnings: [] });
+  });
+});
+
+describe("estimate", () => {
+  test("reads hours, minutes and both", () => {
+    assert.equal(parse("a ~2h").fields.estimateHrs, 2);
+    assert.equal(parse("a ~1.5").fields.estimateHrs, 1.5);
+    assert.equal(parse("a ~30m").fields.estimateHrs, 0.5);
+    assert.equal(parse("a ~90min").fields.estimateHrs, 1.5);
+    assert.equal(parse("a ~1h30m").fields.estimateHrs, 1.5);
+    assert.equal(parse("a ~2hrs").fields.estimateHrs, 2);
+    assert.equal(parse("a ~20m").fields.estimateHrs, 0.33);
+  });
+
+  test("warns about units it doesn't know and out-of-range values", () => {
+    const days = parse("a ~2d");
+    assert.equal(days.fields.title, "a ~2d");
+    assert.match(days.warnings[0], /not an estimate/);
+    assert.match(parse("a ~0h").warnings[0], /more than 0 and at most 100 hours/);
+    assert.match(parse("a ~101").warnings[0], /at most 100 hours/);
+  });
+});
+
+describe("tags and important", () => {
+  test("lower-cases tags and drops repeats", () => {
+    assert.deepEqual(parse("a #Acme #acme, #q4").fields.tags, ["acme", "q4"]);
+  });
+
+  test("rejects tags the task API would", () => {
+    const { fields, warnings } = parse(`a #a,b #${"x".repeat(31)}`);
+    assert.equal(fields.tags, undefined);
+    assert.equal(warnings.length, 2);
+  });
+
+  test("needs a lone * for important", () => {
+    assert.equal(parse("a *").fields.important, true);
+    assert.deepEqual(parse("5* hotel **").fields, { title: "5* hotel **" });
+  });
+});
+
+describe("relative dates", () => {
+  test("today and tomorrow", () => {
+    assert.equal(deadline("a due today"), "2026-10-21");
+    assert.equal(deadline("a due tomorrow"), "2026-10-22");
+    assert.equal(deadline("a by tmrw"), "2026-10-22");
+  });
+
+  test("a bare weekday is the next one after today", () => {
+    assert.equal(deadline("a due fri"), "2026-10-23");
+    assert.equal(deadline("a due Thursday"), "2026-10-22");
+    assert.equal(deadline("a due sun"), "2026-10-25");
+    // Said on a Wednesday, "wed" is a week away, not today.
+    assert.equal(deadline("a due wed"), "2026-10-28");
+  });
+
+  test("next <weekday> is that day in next week", () => {
+    assert.equal(deadline("a due next fri"), "2026-10-30");
+    assert.equal(deadline("a due next mon"), "2026-10-26");
+    assert.equal(deadline("a due next sun"), "2026-11-01");
+    // On a Sunday next week starts tomorrow.
+    assert.equal(deadline("a due next mon", { now: new Date("2026-10-25T12:00:00Z") }), "2026-10-26");
+  });
+
+  test("next week and next month start them", () => {
+    assert.equal(deadline("a due next week"), "2026-10-26");
+    assert.equal(deadline("a due next month"), "2026-11-01");
+    assert.equal(deadline("a due next month", { now: new Date("2026-12-15T12:00:00Z") }), "2027-01-01");
+  });
+
+  test("in N days, weeks or months", () => {
+    assert.equal(deadline("a due in 3 days"), "2026-10-24");
+    assert.equal(deadline("a due in a week"), "2026-10-28");
+    assert.equal(deadline("a due in 2w"), "2026-11-04");
+    assert.equal(deadline("a due in two months"), "2026-12-21");
+    assert.equal(deadline("a due in 3 days", { now: new Date("2026-12-30T12:00:00Z") }), "2027-01-02");
+  });
+
+  test("a month on from the 31st is the end of a shorter month", () => {
+    assert.equal(deadline("a due in 1 month", { now: new Date("2027-01-31T12:00:00Z") }), "2027-02-28");
+    assert.equal(deadline("a due in 1 month", { now: new Date("2028-01-31T12:00:00Z") }), "2028-02-29");
+  });
+
+  test("count from today in the given timezone", () => {
+    // 02:00 UTC on the 21st is still the evening of the 20th in Los Angeles.
+    const now = new Date("2026-10-21T02:00:00Z");
+    assert.equal(deadline("a due today", { now }), "2026-10-21");
+    const { fields } = parse("a due today", { now, timeZone: "America/Los_Angeles" });
+    assert.equal(fields.deadline, "2026-10-20");
+    assert.equal(fields.timezone, "America/Los_Angeles");
+  });
+
+  test("aren't moved by a DST change", () => {
+    // New York leaves DST on 2026-11-01.
+    const now = new Date("2026-10-29T03:30:00Z");
+    assert.equal(deadline("a due in 1 week", { now, timeZone: "America/New_York" }), "2026-11-04");
+  });
+
+  test("throw for an unknown timezone", () => {
+    assert.throws(() => parse("a due today", { timeZone: "Mars/Olympus_Mons" }), RangeError);
+  });
+});
+
+describe("calendar dates", () => {
+  test("ISO dates", () => {
+    assert.equal(deadline("a due 2027-03-04"), "2027-03-04");
+  });
+
+  test("month and day in either order, with or without a year", () => {
+    assert.equal(deadline("a due dec 5"), "2026-12-05");
+    assert.equal(deadline("a due 5 Dec"), "2026-12-05");
+    assert.equal(deadline("a due 4th march 2028"), "2028-03-04");
+    assert.equal(deadline("a due sept 1st"), "2027-09-01");
+  });
+
+  test("without a year, the next time the date comes round", () => {
+    assert.equal(deadline("a due oct 21"), "2026-10-21");
+    assert.equal(deadline("a due oct 20"), "2027-10-20");
+    assert.equal(deadline("a due feb 29"), "2028-02-29");
+  });
+
+  test("dates that don't exist stay in the title with a warning", () => {
+    for (const [text, bad] of [["a due feb 30", "feb 30"], ["a due 2026-02-31", "2026-02-31"], ["a due 2026-13-01", "2026-13-01"], ["a due feb 29 2027", "feb 29 2027"]]) {
+      const { fields, warnings } = parse(text);
+      assert.equal(fields.deadline, undefined, text);
+      assert.equal(fields.title, text);
+      assert.deepEqual(warnings, [`"${bad}" is not a date`]);
+    }
+  });
+});
+
+describe("times", () => {
+  test("after the date, with or without at", () => {
+    assert.equal(deadline("a due fri 5pm"), "2026-10-23T17:00");
+    assert.equal(deadline("a due fri at 9:30am"), "2026-10-23T09:30");
+    assert.equal(deadline("a due tomorrow 5 pm"), "2026-10-22T17:00");
+    assert.equal(deadline("a due dec 5 17:45"), "2026-12-05T17:45");
+  });
+
+  test("before the date, or on their own for today", () => {
+    assert.equal(deadline("a due 5pm fri"), "2026-10-23T17:00");
+    assert.equal(deadline("a by noon"), "2026-10-21T12:00");
+    assert.equal(deadline("a due at 8:05"), "2026-10-21T08:05");
+  });
+
+  test("12am is midnight and 12pm is noon", () => {
+    assert.equal(deadline("a due tomorrow 12am"), "2026-10-22T00:00");
+    assert.equal(deadline("a due tomorrow 12pm"), "2026-10-22T12:00");
+  });
+
+  test("are on the clock in the timezone given", () => {
+    const { fields } = parse("a due tomorrow 9am", { timeZone: "Asia/Tokyo" });
+    assert.equal(fields.deadline, "2026-10-22T09:00");
+    assert.equal(fields.timezone, "Asia/Tokyo");
+  });
+
+  test("need am/pm or a colon; anything else stays in the title", () => {
+    const { fields } = parse("Call at 5 due fri at 5");
+    assert.equal(fields.deadline, "2026-10-23");
+    assert.equal(fields.title, "Call at 5 at 5");
+    assert.equal(parse("a due fri 13pm").fields.title, "a 13pm");
+    assert.equal(parse("a due fri 24:00").fields.title, "a 24:00");
+  });
+});
+
+describe("deadline keywords", () => {
+  test("need a date or time after them", () => {
+    assert.deepEqual(parse("Read Animal Farm by Orwell").fields, { title: "Read Animal Farm by Orwell" });
+    assert.deepEqual(parse("Pay the bill that is due").fields, { title: "Pay the bill that is due" });
+    assert.deepEqual(parse("Ask Tom by email next week").fields, { title: "Ask Tom by email next week" });
+  });
+
+  test("ignore case and a trailing comma", () => {
+    const { fields } = parse("Send slides Due FRI, #work");
+    assert.equal(fields.deadline, "2026-10-23");
+    assert.equal(fields.title, "Send slides");
+  });
+
+  test("the last deadline wins", () => {
+    assert.equal(deadline("a due fri by mon"), "2026-10-26");
+  });
+
+  test("don't mistake object keys for words", () => {
+    assert.deepEqual(parse("a due constructor !toString ~valueOf").fields.title, "a due constructor !toString ~valueOf");
+  });
+});
@@ -0,0 +1,103 @@
+import assert from "node:assert/strict";
+import { after, before, describe, test } from "node:test";
+
+import { PASSWORD, TASK, createClient, signedInClient, startServer, stopServer } from "./helpers.js";
+
+before(startServer);
+after(stopServer);
+
+describe("CSRF protection", () => {
+  test("rejects signed-in writes without the token", async () => {
+    const client = await signedInClient();
+    const res = await client.post("/api/tasks", TASK, { csrf: false });
+    assert.equal(res.status, 403);
+    assert.equal(res.body.code, "CSRF_FAILED");
+  });
+
+  test("rejects a token that doesn't match the cookie", async () => {
+    const client = await signedInClient();
+    const res = await client.post("/api/tasks", TASK, { headers: { "X-CSRF-Token": "forged.token" } });
+    assert.equal(res.status, 403);
+    assert.equal(res.body.code, "CSRF_FAILED");
+  });
+
+  test("rejects a token issued to another session", async () => {
+    const attacker = await signedInClient();
+    const victim = await signedInClient();
+    victim.cookies["taskrush.csrf"] = attacker.cookies["taskrush.csrf"];
+    const res = await victim.post("/api/tasks", TASK);
+    assert.equal(res.status, 403);
+  });
+
+  test("protects the sign-in form too", async () => {
+    const res = await createClient().post("/auth/login", { username: "nobody", password: PASSWORD }, { csrf: false });
+    assert.equal(res.status, 403);
+    assert.equal(res.body.code, "CSRF_FAILED");
+  });
+
+  test("answers in the v1 error shape under /api/v1", async () => {
+    const client = await signedInClient();
+    const res = await client.post("/api/v1/tasks", TASK, { csrf: false });
+    assert.equal(res.status, 403);
+    assert.equal(res.body.error.code, "CSRF_FAILED");
+  });
+
+  test("leaves reads alone", async () => {
+    const client = await signedInClient();
+    delete client.cookies["taskrush.csrf"];
+    assert.equal((await client.get("/api/tasks")).status, 200);
+    assert.ok(client.cookies["taskrush.csrf"], "a fresh token is handed out");
+  });
+
+  test("doesn't apply to API token requests", async () => {
+    const client = await signedInClient();
+    const created = await client.post("/auth/tokens", { name: "script", scopes: ["read", "write"] });
+    assert.equal(created.status, 201);
+
+    const script = createClient();
+    const res = await script.post("/api/tasks", TASK, { csrf: false, headers: { Authorization: `Bearer ${created.body.token}` } });
+    assert.equal(res.status, 200);
+  });
+});
+
+describe("session cookies", () => {
+  test("signing in starts a new session and token", async () => {
+    const client = await signedInClient();
+    const before = { ...client.cookies };
+    const res = await client.post("/auth/login", { username: client.username, password: PASSWORD });
+    assert.equal(res.status, 200);
+    assert.notEqual(client.cookies["taskrush.sid"], before["taskrush.sid"]);
+    assert.notEqual(client.cookies["taskrush.csrf"], before["taskrush.csrf"]);
+
+    const stale = createClient();
+    stale.cookies = before;
+    assert.equal((await stale.get("/api/tasks")).status, 401);
+  });
+
+  test("keeps the session cookie away from scripts and other sites", async () => {
+    const res = await createClient().post("/auth/register", { username: `cookie${process.pid}`, password: PASSWORD });
+    const cookies = res.headers.getSetCookie();
+    const session = cookies.find((c) => c.startsWith("taskrush.sid="));
+    const csrf = cookies.find((c) => c.startsWith("taskrush.csrf="));
+    assert.match(session, /; HttpOnly/i);
+    assert.match(session, /; SameSite=Lax/i);
+    assert.doesNotMatch(session, /; Secure/i);
+    assert.match(csrf, /; SameSite=Strict/i);
+    assert.doesNotMatch(csrf, /; HttpOnly/i);
+  });
+});
+
+describe("security headers", () => {
+  test("are sent with the app shell", async () => {
+    const res = await createClient().get("/");
+    assert.equal(res.status, 200);
+    assert.match(res.headers.get("content-security-policy"), /script-src 'self'(;|$)/);
+    assert.match(res.headers.get("content-security-policy"), /frame-ancestors 'none'/);
+    assert.equal(res.headers.get("x-content-type-options"), "nosniff");
+    assert.equal(res.headers.get("x-frame-options"), "DENY");
+    assert.equal(res.headers.get("referrer-policy"), "same-origin");
+    assert.equal(res.headers.get("x-powered-by"), null);
+    // Plain HTTP; HSTS is only sent over HTTPS.
+    assert.equal(res.headers.get("strict-transport-security"), null);
+  });
+});
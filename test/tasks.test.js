@@ -0,0 +1,738 @@
+import mongoose from "mongoose";
+import assert from "node:assert/strict";
+import { after, before, describe, test } from "node:test";
+
+import { TASK, createClient, createTask, dateFromToday, signedInClient, startServer, stopServer } from "./helpers.js";
+
+before(startServer);
+after(stopServer);
+
+// Runs fn with the nth Task save from now losing a race: another write bumps
+// the task's version just before it, so the save fails with a VersionError.
+async function withLostSaveRace(fn, nth = 1) {
+  const Task = mongoose.model("Task");
+  const save = Task.prototype.save;
+  let count = 0;
+  Task.prototype.save = async function (...args) {
+    count += 1;
+    if (count === nth) {
+      Task.prototype.save = save;
+      await Task.updateOne({ _id: this._id }, { $inc: { __v: 1 } });
+    }
+    return save.apply(this, args);
+  };
+  try {
+    return await fn();
+  } finally {
+    Task.prototype.save = save;
+  }
+}
+
+describe("GET /api/tasks", () => {
+  test("lists only the user's own tasks, newest first", async () => {
+    const client = await signedInClient();
+    const other = await signedInClient();
+    const first = await createTask(client);
+    const second = await createTask(client);
+    await createTask(other);
+
+    const res = await client.get("/api/tasks");
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.tasks.map((t) => t.id), [second.id, first.id]);
+    assert.equal(res.body.total, 2);
+    assert.equal(res.body.nextCursor, null);
+    assert.equal(res.body.role, "owner");
+  });
+
+  test("filters and pages", async () => {
+    const client = await signedInClient();
+    const created = [
+      await createTask(client, { priority: "low" }),
+      await createTask(client, { priority: "critical" }),
+      await createTask(client, { priority: "critical" }),
+    ];
+
+    const filtered = await client.get("/api/tasks?priority=critical");
+    assert.equal(filtered.body.total, 2);
+    assert.ok(filtered.body.tasks.every((t) => t.priority === "critical"));
+
+    const page = await client.get("/api/tasks?limit=2");
+    assert.equal(page.body.tasks.length, 2);
+    assert.ok(page.body.nextCursor);
+    const rest = await client.get(`/api/tasks?limit=2&cursor=${encodeURIComponent(page.body.nextCursor)}`);
+    assert.equal(rest.body.tasks.length, 1);
+    assert.equal(rest.body.nextCursor, null);
+    const seen = [...page.body.tasks, ...rest.body.tasks].map((t) => t.id);
+    assert.deepEqual(seen.sort(), created.map((t) => t.id).sort());
+  });
+
+  test("rejects bad query parameters", async () => {
+    const client = await signedInClient();
+    const res = await client.get("/api/tasks?sort=nope");
+    assert.equal(res.status, 400);
+    assert.equal(res.body.code, "VALIDATION_FAILED");
+    assert.equal(res.body.details[0].field, "sort");
+  });
+});
+
+describe("POST /api/tasks", () => {
+  test("creates a task and answers with the full list", async () => {
+    const client = await signedInClient();
+    const deadline = dateFromToday(3);
+    const res = await client.post("/api/tasks", {
+      title: "  Plan sprint  ",
+      priority: "medium",
+      estimateHrs: 1.5,
+      deadline,
+      notes: "Bring numbers",
+      important: true,
+      tags: ["Work", "work", "planning"],
+    });
+    assert.equal(res.status, 200);
+    assert.ok(res.headers.get("x-history-id"));
+    assert.equal(res.body.length, 1);
+    const [task] = res.body;
+    assert.equal(task.title, "Plan sprint");
+    assert.equal(task.deadline, deadline);
+    assert.equal(task.important, true);
+    assert.deepEqual(task.tags, ["work", "planning"]);
+    assert.equal(task.status, "active");
+    assert.equal(task.version, 0);
+    assert.ok(task.urgencyScore > 0);
+    assert.equal(res.headers.get("location"), `/api/tasks/${task.id}`);
+    assert.equal(res.headers.get("etag"), '"0"');
+  });
+
+  test("reports every invalid field", async () => {
+    const client = await signedInClient();
+    const res = await client.post("/api/tasks", { title: " ", priority: "urgent", estimateHrs: 0 });
+    assert.equal(res.status, 400);
+    assert.equal(res.body.code, "VALIDATION_FAILED");
+    assert.deepEqual(res.body.details.map((d) => [d.field, d.code]), [
+      ["title", "REQUIRED"],
+      ["priority", "INVALID_VALUE"],
+      ["estimateHrs", "OUT_OF_RANGE"],
+    ]);
+    assert.equal(res.body.error, res.body.details[0].message);
+  });
+
+  test("rejects impossible deadlines and unknown timezones", async () => {
+    const client = await signedInClient();
+    const task = { title: "Later", priority: "low", estimateHrs: 1 };
+    const deadline = await client.post("/api/tasks", { ...task, deadline: "2026-13-01" });
+    assert.equal(deadline.status, 400);
+    assert.deepEqual(deadline.body.details.map((d) => d.field), ["deadline"]);
+
+    const timezone = await client.post("/api/tasks", { ...task, deadline: "2026-02-10T09:00", timezone: "Mars/Olympus" });
+    assert.equal(timezone.status, 400);
+    assert.deepEqual(timezone.body.details.map((d) => d.field), ["timezone"]);
+  });
+
+  test("rejects a body that isn't JSON", async () => {
+    const client = await signedInClient();
+    const res = await client.post("/api/tasks", "{not json", { headers: { "Content-Type": "application/json" } });
+    assert.equal(res.status, 400);
+  });
+});
+
+describe("PUT /api/tasks/:id", () => {
+  test("updates the task and bumps its version", async () => {
+    const client = await signedInClient();
+    const task = await createTask(client);
+    const res = await client.put(`/api/tasks/${task.id}`, { status: "done", priority: "low" }, { headers: { "If-Match": '"0"' } });
+    assert.equal(res.status, 200);
+    assert.equal(res.headers.get("etag"), '"1"');
+    const updated = res.body.find((t) => t.id === task.id);
+    assert.equal(updated.status, "done");
+    assert.equal(updated.priority, "low");
+    assert.equal(updated.version, 1);
+    assert.equal(updated.urgencyScore, 0);
+  });
+
+  test("needs a version and refuses stale ones", async () => {
+    const client = await signedInClient();
+    const task = await createTask(client);
+    const missing = await client.put(`/api/tasks/${task.id}`, { title: "No version" });
+    assert.equal(missing.status, 428);
+    assert.equal(missing.body.code, "VERSION_REQUIRED");
+
+    await client.put(`/api/tasks/${task.id}`, { title: "First", version: 0 });
+    const stale = await client.put(`/api/tasks/${task.id}`, { title: "Second", version: 0 });
+    assert.equal(stale.status, 409);
+    assert.equal(stale.body.code, "VERSION_CONFLICT");
+    assert.equal(stale.body.current.title, "First");
+    assert.equal(stale.body.current.version, 1);
+  });
+
+  test("leaves the series alone when the save loses a race", async () => {
+    const client = await signedInClient();
+    const recurring = await createTask(client, { deadline: dateFromToday(3), recurrence: { type: "daily" } });
+    const plain = await createTask(client, { deadline: dateFromToday(3) });
+    const TaskSeries = mongoose.model("TaskSeries");
+    const seriesCount = await TaskSeries.countDocuments();
+
+    const stop = await withLostSaveRace(() => client.put(`/api/tasks/${recurring.id}`, { recurrence: null, version: 0 }));
+    assert.equal(stop.status, 409);
+    const start = await withLostSaveRace(() => client.put(`/api/tasks/${plain.id}`, { recurrence: { type: "weekly", weekdays: [1] }, version: 0 }));
+    assert.equal(start.status, 409);
+
+    assert.equal(await TaskSeries.countDocuments(), seriesCount);
+    const tasks = (await client.get("/api/tasks")).body.tasks;
+    assert.deepEqual(tasks.find((t) => t.id === recurring.id).recurrence, recurring.recurrence);
+    assert.equal(tasks.find((t) => t.id === plain.id).recurrence, null);
+  });
+
+  test("starts and stops a series once the task saves", async () => {
+    const client = await signedInClient();
+    const task = await createTask(client, { deadline: dateFromToday(3) });
+    const started = await client.put(`/api/tasks/${task.id}`, { recurrence: { type: "daily" }, version: 0 });
+    assert.equal(started.status, 200);
+    assert.equal(started.body.find((t) => t.id === task.id).recurrence.type, "daily");
+
+    const stopped = await client.put(`/api/tasks/${task.id}`, { recurrence: null, version: 1 });
+    assert.equal(stopped.status, 200);
+    assert.equal(stopped.body.find((t) => t.id === task.id).recurrence, null);
+  });
+
+  test("leaves no series behind when a recurring task fails to save", async () => {
+    const client = await signedInClient();
+    const Task = mongoose.model("Task");
+    const TaskSeries = mongoose.model("TaskSeries");
+    const seriesCount = await TaskSeries.countDocuments();
+    const save = Task.prototype.save;
+    Task.prototype.save = async () => {
+      throw new Error("save failed");
+    };
+    let res;
+    try {
+      res = await client.post("/api/tasks", { ...TASK, deadline: dateFromToday(3), recurrence: { type: "daily" } });
+    } finally {
+      Task.prototype.save = save;
+    }
+    assert.equal(res.status, 500);
+    assert.equal(await TaskSeries.countDocuments(), seriesCount);
+    assert.equal((await client.get("/api/tasks")).body.tasks.length, 0);
+  });
+
+  test("validates partial updates", async () => {
+    const client = await signedInClient();
+    const task = await createTask(client);
+    const res = await client.put(`/api/tasks/${task.id}`, { estimateHrs: 500, version: 0 });
+    assert.equal(res.status, 400);
+    assert.deepEqual(res.body.details.map((d) => d.field), ["estimateHrs"]);
+  });
+
+  test("404s for unknown or malformed ids", async () => {
+    const client = await signedInClient();
+    for (const id of ["64b7f0c2a1b2c3d4e5f60718", "not-an-id"]) {
+      const res = await client.put(`/api/tasks/${id}`, { title: "x", version: 0 });
+      assert.equal(res.status, 404);
+    }
+  });
+});
+
+describe("DELETE /api/tasks/:id and restore", () => {
+  test("moves the task to the trash and restores it", async () => {
+    const client = await signedInClient();
+    const keep = await createTask(client);
+    const task = await createTask(client);
+
+    const res = await client.delete(`/api/tasks/${task.id}`);
+    assert.equal(res.status, 200);
+    assert.ok(res.headers.get("x-history-id"));
+    assert.deepEqual(res.body.map((t) => t.id), [keep.id]);
+    assert.deepEqual(res.body[0], (await client.get("/api/tasks")).body.tasks[0]);
+
+    const restored = await client.post(`/api/tasks/${task.id}/restore`);
+    assert.equal(restored.status, 200);
+    assert.deepEqual(restored.body.map((t) => t.id).sort(), [keep.id, task.id].sort());
+
+    const again = await client.post(`/api/tasks/${task.id}/restore`);
+    assert.equal(again.status, 409);
+    assert.equal(again.body.code, "NOT_DELETED");
+  });
+
+  test("asks what to do with subtasks", async () => {
+    const client = await signedInClient();
+    const parent = await createTask(client);
+    const child = await createTask(client, { parentId: parent.id });
+
+    const refused = await client.delete(`/api/tasks/${parent.id}`);
+    assert.equal(refused.status, 409);
+    assert.equal(refused.body.code, "HAS_SUBTASKS");
+    assert.equal(refused.body.subtaskCount, 1);
+
+    const detached = await client.delete(`/api/tasks/${parent.id}?children=detach`);
+    assert.equal(detached.status, 200);
+    assert.deepEqual(detached.body.map((t) => [t.id, t.parentId]), [[child.id, null]]);
+  });
+
+  test("deletes subtasks along with their parent", async () => {
+    const client = await signedInClient();
+    const parent = await createTask(client);
+    await createTask(client, { parentId: parent.id });
+    const res = await client.delete(`/api/tasks/${parent.id}?children=delete`);
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body, []);
+  });
+
+  test("refuses a stale If-Match", async () => {
+    const client = await signedInClient();
+    const task = await createTask(client);
+    await client.put(`/api/tasks/${task.id}`, { title: "Changed", version: 0 });
+    const res = await client.delete(`/api/tasks/${task.id}`, { headers: { "If-Match": '"0"' } });
+    assert.equal(res.status, 409);
+    assert.equal(res.body.code, "VERSION_CONFLICT");
+  });
+});
+
+describe("ownership", () => {
+  test("other users get 403 on every task route", async () => {
+    const owner = await signedInClient();
+    const intruder = await signedInClient();
+    const task = await createTask(owner);
+    const attempts = [
+      intruder.put(`/api/tasks/${task.id}`, { title: "Mine now", version: 0 }),
+      intruder.delete(`/api/tasks/${task.id}`),
+      intruder.post(`/api/tasks/${task.id}/restore`),
+      intruder.get(`/api/tasks/${task.id}/history`),
+      intruder.post(`/api/tasks/${task.id}/timer`),
+      intruder.get(`/api/tasks/${task.id}/time`),
+      intruder.post(`/api/tasks/${task.id}/time`, { hours: 1 }),
+    ];
+    for (const res of await Promise.all(attempts)) {
+      assert.equal(res.status, 403);
+      assert.equal(res.body.error, "Not authorized");
+    }
+    const unchanged = (await owner.get("/api/tasks")).body.tasks[0];
+    assert.equal(unchanged.title, task.title);
+    assert.equal(unchanged.version, 0);
+  });
+
+  test("list routes never include other users' tasks", async () => {
+    const owner = await signedInClient();
+    const intruder = await signedInClient();
+    const task = await createTask(owner);
+    assert.deepEqual((await intruder.get("/api/tasks")).body.tasks, []);
+    assert.deepEqual((await intruder.get("/api/tasks/lookup")).body, []);
+    assert.deepEqual((await intruder.get("/api/tasks/export")).body, []);
+
+    const reorder = await intruder.post("/api/tasks/reorder", { moves: [{ id: task.id, position: 1 }] });
+    assert.equal(reorder.status, 404);
+    const bulk = await intruder.post("/api/tasks/bulk", { operations: [{ id: task.id, op: "status", status: "done" }] });
+    assert.equal(bulk.status, 400);
+    assert.equal(bulk.body.results[0].code, "NOT_FOUND");
+  });
+
+  test("project viewers can read but not change tasks", async () => {
+    const owner = await signedInClient();
+    const viewer = await signedInClient();
+    const project = (await owner.post("/api/projects", { name: "Launch" })).body;
+    await owner.post(`/api/projects/${project.id}/members`, { username: viewer.username, role: "viewer" });
+    const task = await createTask(owner, { projectId: project.id });
+
+    const list = await viewer.get(`/api/tasks?project=${project.id}`);
+    assert.deepEqual(list.body.tasks.map((t) => t.id), [task.id]);
+    assert.equal(list.body.role, "viewer");
+
+    const update = await viewer.put(`/api/tasks/${task.id}`, { title: "Nope", version: 0 });
+    assert.equal(update.status, 403);
+    assert.equal(update.body.code, "INSUFFICIENT_ROLE");
+    const create = await viewer.post("/api/tasks", { title: "Nope", priority: "low", estimateHrs: 1, projectId: project.id });
+    assert.equal(create.status, 403);
+  });
+});
+
+describe("POST /api/tasks/reorder", () => {
+  test("moves tasks and changes status", async () => {
+    const client = await signedInClient();
+    const a = await createTask(client);
+    const b = await createTask(client);
+    const res = await client.post("/api/tasks/reorder", {
+      moves: [{ id: a.id, position: 2 }, { id: b.id, position: 1, status: "backlog", version: 0 }],
+    });
+    assert.equal(res.status, 200);
+    const byId = new Map(res.body.tasks.map((t) => [t.id, t]));
+    assert.equal(byId.get(a.id).position, 2);
+    assert.equal(byId.get(b.id).position, 1);
+    assert.equal(byId.get(b.id).status, "backlog");
+  });
+
+  test("writes nothing when a status move loses a race", async () => {
+    const client = await signedInClient();
+    const [a, b, c] = [await createTask(client), await createTask(client), await createTask(client)];
+    const res = await withLostSaveRace(() => client.post("/api/tasks/reorder", {
+      moves: [{ id: a.id, position: 1, status: "backlog" }, { id: b.id, position: 2, status: "done" }, { id: c.id, position: 3 }],
+    }), 2);
+    assert.equal(res.status, 409);
+    assert.equal(res.body.code, "VERSION_CONFLICT");
+
+    const tasks = new Map((await client.get("/api/tasks")).body.tasks.map((t) => [t.id, t]));
+    for (const task of [a, c]) {
+      assert.equal(tasks.get(task.id).status, task.status);
+      assert.equal(tasks.get(task.id).position, task.position);
+    }
+    // a was saved and put back, two new versions; c was never written.
+    assert.equal(tasks.get(a.id).version, 2);
+    assert.equal(tasks.get(c.id).version, 0);
+    const history = await client.get(`/api/tasks/${a.id}/history`);
+    assert.ok(history.body.every((entry) => entry.action !== "update"));
+  });
+
+  test("puts status moves back when a position write loses a race", async () => {
+    const client = await signedInClient();
+    const [a, b] = [await createTask(client), await createTask(client)];
+    const Task = mongoose.model("Task");
+    const updateOne = Task.updateOne;
+    // The conditional position write for b finds someone else's edit first.
+    Task.updateOne = function (filter, ...rest) {
+      if (String(filter._id) !== b.id || filter.__v === undefined) return updateOne.call(Task, filter, ...rest);
+      Task.updateOne = updateOne;
+      return {
+        exec: async () => {
+          await updateOne.call(Task, { _id: b.id }, { $inc: { __v: 1 } }).exec();
+          return updateOne.call(Task, filter, ...rest).exec();
+        },
+      };
+    };
+    let res;
+    try {
+      res = await client.post("/api/tasks/reorder", { moves: [{ id: a.id, position: 5, status: "done" }, { id: b.id, position: 6 }] });
+    } finally {
+      Task.updateOne = updateOne;
+    }
+    assert.equal(res.status, 409);
+    const tasks = new Map((await client.get("/api/tasks")).body.tasks.map((t) => [t.id, t]));
+    assert.equal(tasks.get(a.id).status, "active");
+    assert.equal(tasks.get(a.id).position, a.position);
+    assert.equal((await Task.findById(a.id).lean()).completedAt, null);
+    assert.equal(tasks.get(a.id).version, 2);
+    assert.equal(tasks.get(b.id).position, b.position);
+
+    // The rollback is newer than what a client saw before the drop.
+    const stale = await client.put(`/api/tasks/${a.id}`, { title: "Stale", version: 0 });
+    assert.equal(stale.status, 409);
+  });
+
+  test("validates moves", async () => {
+    const client = await signedInClient();
+    const res = await client.post("/api/tasks/reorder", { moves: [] });
+    assert.equal(res.status, 400);
+  });
+});
+
+describe("POST /api/tasks/bulk", () => {
+  test("applies every operation when all are valid", async () => {
+    const client = await signedInClient();
+    const a = await createTask(client);
+    const b = await createTask(client);
+    const c = await createTask(client);
+    const res = await client.post("/api/tasks/bulk", {
+      atomic: false,
+      operations: [
+        { id: a.id, op: "status", status: "done" },
+        { id: b.id, op: "addTag", tag: "Later" },
+        { id: c.id, op: "delete" },
+      ],
+    });
+    assert.equal(res.status, 200);
+    assert.ok(res.body.results.every((r) => r.ok));
+    assert.deepEqual(res.body.deleted, [c.id]);
+    const byId = new Map(res.body.tasks.map((t) => [t.id, t]));
+    assert.equal(byId.get(a.id).status, "done");
+    assert.deepEqual(byId.get(b.id).tags, ["later"]);
+  });
+
+  test("changes nothing when an atomic request has an invalid operation", async () => {
+    const client = await signedInClient();
+    const a = await createTask(client);
+    const res = await client.post("/api/tasks/bulk", {
+      operations: [
+        { id: a.id, op: "status", status: "done" },
+        { id: a.id, op: "update", fields: { parentId: null } },
+      ],
+    });
+    assert.equal(res.status, 400);
+    assert.equal(res.body.code, "BULK_INVALID");
+    assert.equal(res.body.results[1].ok, false);
+    assert.equal((await client.get("/api/tasks")).body.tasks[0].status, "active");
+  });
+
+  test("refuses an atomic request without transactions instead of applying it partly", async () => {
+    // The test database is a standalone server, so it has no transactions.
+    const client = await signedInClient();
+    const a = await createTask(client);
+    const b = await createTask(client);
+    const res = await client.post("/api/tasks/bulk", {
+      operations: [
+        { id: a.id, op: "status", status: "done" },
+        { id: b.id, op: "delete" },
+      ],
+    });
+    assert.equal(res.status, 501);
+    assert.equal(res.body.code, "TRANSACTIONS_UNSUPPORTED");
+    const tasks = (await client.get("/api/tasks")).body.tasks;
+    assert.equal(tasks.length, 2);
+    assert.ok(tasks.every((t) => t.status === "active" && t.version === 0));
+  });
+
+  test("reports a task that loses a race without undoing the others in a non-atomic request", async () => {
+    const client = await signedInClient();
+    const a = await createTask(client);
+    const b = await createTask(client);
+    const res = await withLostSaveRace(() => client.post("/api/tasks/bulk", {
+      atomic: false,
+      operations: [
+        { id: a.id, op: "status", status: "done" },
+        { id: b.id, op: "status", status: "done" },
+      ],
+    }), 2);
+    assert.equal(res.status, 200);
+    assert.equal(res.body.transactional, false);
+    assert.deepEqual(res.body.results.map((r) => r.code), [undefined, "VERSION_CONFLICT"]);
+    assert.deepEqual(res.body.tasks.map((t) => t.id), [a.id]);
+  });
+
+  test("applies the valid operations of a non-atomic request", async () => {
+    const client = await signedInClient();
+    const a = await createTask(client);
+    const b = await createTask(client);
+    const res = await client.post("/api/tasks/bulk", {
+      atomic: false,
+      operations: [
+        { id: a.id, op: "status", status: "done" },
+        { id: b.id, op: "status", status: "finished" },
+      ],
+    });
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.results.map((r) => r.ok), [true, false]);
+    assert.deepEqual(res.body.tasks.map((t) => t.id), [a.id]);
+  });
+});
+
+describe("export, import, lookup and migrate-meta", () => {
+  test("exports JSON and CSV", async () => {
+    const client = await signedInClient();
+    const task = await createTask(client, { title: "Pay, rent", tags: ["home"] });
+
+    const json = await client.get("/api/tasks/export");
+    assert.equal(json.status, 200);
+    assert.match(json.headers.get("content-disposition"), /attachment; filename="taskrush-tasks-.*\.json"/);
+    assert.equal(json.body[0].id, task.id);
+    assert.equal(json.body[0].title, "Pay, rent");
+
+    const csv = await client.get("/api/tasks/export?format=csv");
+    const [header, row] = csv.body.trim().split(/\r?\n/);
+    assert.equal(header, "id,title,priority,estimateHrs,deadline,notes,important,status,tags,createdAt");
+    assert.ok(row.startsWith(`${task.id},"Pay, rent",high,2,`));
+
+    const bad = await client.get("/api/tasks/export?format=xml");
+    assert.equal(bad.status, 400);
+  });
+
+  test("imports rows, skipping duplicates and reporting errors", async () => {
+    const client = await signedInClient();
+    await createTask(client, { title: "Existing" });
+    const rows = [
+      { title: "Existing", priority: "low", estimateHrs: 1 },
+      { title: "New one", priority: "low", estimateHrs: 1 },
+      { title: "Broken", priority: "low", estimateHrs: -1 },
+    ];
+
+    const dry = await client.post("/api/tasks/import?dryRun=true", rows);
+    assert.equal(dry.status, 200);
+    assert.deepEqual(dry.body.summary, { duplicate: 1, valid: 1, error: 1 });
+    assert.equal((await client.get("/api/tasks")).body.total, 1);
+
+    const res = await client.post("/api/tasks/import", rows);
+    assert.equal(res.status, 201);
+    assert.deepEqual(res.body.rows.map((r) => r.status), ["duplicate", "created", "error"]);
+    assert.equal((await client.get("/api/tasks")).body.total, 2);
+  });
+
+  test("keeps every status through an ICS export and import", async () => {
+    const client = await signedInClient();
+    for (const status of ["active", "backlog", "done"]) await createTask(client, { title: `Status ${status}`, status });
+    const ics = await client.get("/api/tasks/export?format=ics");
+    assert.equal(ics.status, 200);
+
+    // Other calendar apps keep STATUS but drop our X- properties.
+    for (const body of [ics.body, ics.body.replace(/^X-TASKRUSH-STATUS:.*\r?\n/gm, "")]) {
+      const other = await signedInClient();
+      const res = await other.post("/api/tasks/import", body, { headers: { "Content-Type": "text/calendar" } });
+      assert.equal(res.status, 201);
+      const statuses = Object.fromEntries((await other.get("/api/tasks")).body.tasks.map((t) => [t.title, t.status]));
+      assert.deepEqual(statuses, { "Status active": "active", "Status backlog": "backlog", "Status done": "done" });
+    }
+  });
+
+  test("looks up titles for pickers", async () => {
+    const client = await signedInClient();
+    const parent = await createTask(client, { title: "B parent" });
+    const child = await createTask(client, { title: "A child", parentId: parent.id });
+    const res = await client.get("/api/tasks/lookup");
+    assert.deepEqual(res.body, [
+      { id: child.id, title: "A child", status: "active", parentId: parent.id },
+      { id: parent.id, title: "B parent", status: "active", parentId: null },
+    ]);
+  });
+
+  test("merges local metadata without overwriting server values", async () => {
+    const client = await signedInClient();
+    const plain = await createTask(client);
+    const noted = await createTask(client, { notes: "Server notes" });
+    const res = await client.post("/api/tasks/migrate-meta", {
+      meta: {
+        [plain.id]: { notes: "Local notes", important: true, status: "backlog" },
+        [noted.id]: { notes: "Local notes" },
+        "64b7f0c2a1b2c3d4e5f60718": { notes: "Gone" },
+      },
+    });
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body, { merged: 1, unchanged: 1, unknown: 1 });
+    const byId = new Map((await client.get("/api/tasks")).body.tasks.map((t) => [t.id, t]));
+    assert.equal(byId.get(plain.id).notes, "Local notes");
+    assert.equal(byId.get(plain.id).important, true);
+    assert.equal(byId.get(plain.id).status, "backlog");
+    assert.equal(byId.get(noted.id).notes, "Server notes");
+
+    const bad = await client.post("/api/tasks/migrate-meta", { meta: [] });
+    assert.equal(bad.status, 400);
+  });
+});
+
+describe("history and time tracking", () => {
+  test("records creation, updates and deletion", async () => {
+    const client = await signedInClient();
+    const task = await createTask(client);
+    await client.put(`/api/tasks/${task.id}`, { priority: "low", version: 0 });
+    await client.delete(`/api/tasks/${task.id}`);
+
+    const res = await client.get(`/api/tasks/${task.id}/history`);
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.map((e) => e.action), ["delete", "update", "create"]);
+    assert.deepEqual(res.body[1].changes, [{ field: "priority", from: "high", to: "low" }]);
+    assert.equal(res.body[0].user.username, client.username);
+  });
+
+  test("runs one timer at a time", async () => {
+    const client = await signedInClient();
+    const a = await createTask(client);
+    const b = await createTask(client);
+
+    const started = await client.post(`/api/tasks/${a.id}/timer`);
+    assert.equal(started.status, 201);
+    assert.equal(started.body.timer.task.id, a.id);
+    assert.equal(started.body.timer.running, true);
+
+    const twice = await client.post(`/api/tasks/${a.id}/timer`);
+    assert.equal(twice.status, 409);
+    assert.equal(twice.body.code, "TIMER_RUNNING");
+    const other = await client.post(`/api/tasks/${b.id}/timer`);
+    assert.equal(other.status, 409);
+
+    const switched = await client.post(`/api/tasks/${b.id}/timer`, { switch: true });
+    assert.equal(switched.status, 201);
+    assert.equal(switched.body.timer.task.id, b.id);
+    const time = await client.get(`/api/tasks/${a.id}/time`);
+    assert.equal(time.body.entries.length, 1);
+    assert.equal(time.body.entries[0].running, false);
+  });
+
+  test("logs time by hand and updates what's left", async () => {
+    const client = await signedInClient();
+    const task = await createTask(client, { estimateHrs: 3 });
+    const res = await client.post(`/api/tasks/${task.id}/time`, { hours: 1.25, note: "Drafting" });
+    assert.equal(res.status, 201);
+    assert.equal(res.body.loggedHrs, 1.25);
+    assert.equal(res.body.entry.note, "Drafting");
+
+    const time = await client.get(`/api/tasks/${task.id}/time`);
+    assert.equal(time.body.loggedHrs, 1.25);
+    assert.equal(time.body.remainingHrs, 1.75);
+
+    for (const body of [{ hours: 0 }, { hours: "2" }, { hours: 1, date: dateFromToday(2) }]) {
+      const bad = await client.post(`/api/tasks/${task.id}/time`, body);
+      assert.equal(bad.status, 400);
+    }
+  });
+});
+
+describe("GET /api/tasks/parse", () => {
+  test("parses a quick-add line in the timezone asked for", async () => {
+    const client = await signedInClient();
+    const text = "Ship invoice !high ~2h due 2099-03-04 5pm #acme *";
+    const res = await client.get(`/api/tasks/parse?${new URLSearchParams({ text, timezone: "Europe/Rome" })}`);
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body, {
+      fields: {
+        title: "Ship invoice",
+        priority: "high",
+        estimateHrs: 2,
+        deadline: "2099-03-04T17:00",
+        timezone: "Europe/Rome",
+        tags: ["acme"],
+        important: true,
+      },
+      warnings: [],
+    });
+
+    // The fields are a valid task body as they stand.
+    const created = await client.post("/api/tasks", res.body.fields);
+    assert.equal(created.status, 200);
+    const task = created.body.find((t) => t.title === "Ship invoice");
+    assert.equal(task.deadline, "2099-03-04T16:00:00.000Z");
+    assert.deepEqual(task.tags, ["acme"]);
+  });
+
+  test("defaults to the account's timezone", async () => {
+    const client = await signedInClient();
+    await client.put("/api/settings/notifications", { timezone: "Asia/Tokyo" });
+    const res = await client.get("/api/tasks/parse?text=a+due+tomorrow");
+    assert.equal(res.body.fields.timezone, "Asia/Tokyo");
+  });
+
+  test("reports warnings without failing", async () => {
+    const client = await signedInClient();
+    const res = await client.get("/api/tasks/parse?text=a+due+feb+30");
+    assert.equal(res.status, 200);
+    assert.equal(res.body.fields.title, "a due feb 30");
+    assert.deepEqual(res.body.warnings, ['"feb 30" is not a date']);
+  });
+
+  test("validates text and timezone", async () => {
+    const client = await signedInClient();
+    const missing = await client.get("/api/tasks/parse");
+    assert.equal(missing.status, 400);
+    assert.equal(missing.body.code, "VALIDATION_FAILED");
+    assert.equal(missing.body.details[0].field, "text");
+
+    const long = await client.get(`/api/tasks/parse?text=${"a".repeat(501)}`);
+    assert.equal(long.body.details[0].code, "TOO_LONG");
+
+    const zone = await client.get("/api/tasks/parse?text=a&timezone=Nowhere%2FLand");
+    assert.equal(zone.status, 400);
+    assert.equal(zone.body.details[0].field, "timezone");
+  });
+
+  test("is in the v1 API too", async () => {
+    const client = await signedInClient();
+    const res = await client.get("/api/v1/tasks/parse?text=a+!low&timezone=UTC");
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.fields, { title: "a", priority: "low" });
+
+    const missing = await client.get("/api/v1/tasks/parse");
+    assert.equal(missing.status, 400);
+    assert.equal(missing.body.error.code, "VALIDATION_FAILED");
+  });
+
+  test("needs a session", async () => {
+    const res = await createClient().get("/api/tasks/parse?text=a");
+    assert.equal(res.status, 401);
+  });
+});
+
+test("signed-out clients can't create tasks", async () => {
+  const res = await createClient().post("/api/tasks", { title: "x", priority: "low", estimateHrs: 1 });
+  assert.equal(res.status, 401);
+});
@@ -0,0 +1,103 @@
+import assert from "node:assert/strict";
+import http from "node:http";
+import { after, before, describe, test } from "node:test";
+
+import { sendWebhookRequest, validateWebhookUrl, webhookAddressBlocked, webhookLookup } from "./helpers.js";
+
+// Resolves webhookLookup's callback into { err, address, family }.
+function lookup(hostname, options, addresses) {
+  const resolve = addresses && ((_name, _options, callback) => callback(null, addresses));
+  return new Promise((done) => {
+    webhookLookup(hostname, options, (err, address, family) => done({ err, address, family }), resolve);
+  });
+}
+
+describe("webhook URLs", () => {
+  test("turn away private and local hosts however they are written", () => {
+    const urls = [
+      "http://localhost/",
+      "http://localhost./",
+      "http://api.localhost/",
+      "http://printer.local/",
+      "http://metadata.google.internal/",
+      "http://127.0.0.1/",
+      "http://2130706433/",
+      "http://0.0.0.0/",
+      "http://10.1.2.3/",
+      "http://100.64.0.1/",
+      "http://172.20.0.1/",
+      "http://192.168.1.1/",
+      "http://169.254.169.254/latest/meta-data/",
+      "http://[::1]/",
+      "http://[::]/",
+      "http://[::ffff:127.0.0.1]/",
+      "http://[::ffff:169.254.169.254]/",
+      "http://[fe80::1]/",
+      "http://[fd00::1]/",
+    ];
+    for (const url of urls) assert.equal(validateWebhookUrl(url).error, "Webhooks can't target private or local addresses", url);
+  });
+
+  test("accept public hosts", () => {
+    assert.equal(validateWebhookUrl("https://hooks.example.com/taskrush").url, "https://hooks.example.com/taskrush");
+    assert.equal(validateWebhookUrl("http://93.184.216.34/").url, "http://93.184.216.34/");
+    assert.equal(validateWebhookUrl("http://[2606:4700:4700::1111]/").url, "http://[2606:4700:4700::1111]/");
+  });
+});
+
+describe("webhookAddressBlocked", () => {
+  test("blocks every non-public range", () => {
+    const blocked = ["127.0.0.1", "10.0.0.1", "100.127.255.255", "169.254.169.254", "172.31.0.1", "192.168.0.1", "0.0.0.0", "224.0.0.1",
+      "::1", "::", "::ffff:7f00:1", "::ffff:a9fe:a9fe", "fe80::1", "fc00::1", "ff02::1", "not an address"];
+    for (const address of blocked) assert.equal(webhookAddressBlocked(address), true, address);
+  });
+
+  test("lets public addresses through", () => {
+    for (const address of ["8.8.8.8", "100.128.0.1", "172.32.0.1", "2606:4700:4700::1111"]) assert.equal(webhookAddressBlocked(address), false, address);
+  });
+});
+
+describe("webhookLookup", () => {
+  test("refuses a name if any address it resolves to is private", async () => {
+    const { err } = await lookup("127.0.0.1.nip.io", { all: true }, [{ address: "93.184.216.34", family: 4 }, { address: "127.0.0.1", family: 4 }]);
+    assert.equal(err.code, "EPRIVATEADDRESS");
+    const mapped = await lookup("rebind.example", {}, [{ address: "::ffff:169.254.169.254", family: 6 }]);
+    assert.equal(mapped.err.code, "EPRIVATEADDRESS");
+  });
+
+  test("checks what the system resolver returns", async () => {
+    const { err } = await lookup("localhost", {});
+    assert.equal(err.code, "EPRIVATEADDRESS");
+  });
+
+  test("answers in the form the caller asked for", async () => {
+    const addresses = [{ address: "93.184.216.34", family: 4 }, { address: "2606:2800:220:1::1", family: 6 }];
+    assert.deepEqual(await lookup("example.com", { all: true }, addresses), { err: null, address: addresses, family: undefined });
+    assert.deepEqual(await lookup("example.com", {}, addresses), { err: null, address: "93.184.216.34", family: 4 });
+  });
+});
+
+describe("sendWebhookRequest", () => {
+  let receiver;
+  let port;
+  let received = 0;
+
+  before(async () => {
+    receiver = http.createServer((req, res) => {
+      received += 1;
+      req.resume();
+      res.end();
+    });
+    await new Promise((resolve) => receiver.listen(0, "127.0.0.1", resolve));
+    port = receiver.address().port;
+  });
+
+  after(() => new Promise((resolve) => receiver.close(resolve)));
+
+  test("won't deliver to a private address saved before the checks, or behind DNS", async () => {
+    for (const url of [`http://127.0.0.1:${port}/`, `http://[::ffff:127.0.0.1]:${port}/`, `http://localhost.:${port}/`]) {
+      await assert.rejects(sendWebhookRequest(url, {}, "{}"), { code: "EPRIVATEADDRESS" }, url);
+    }
+    assert.equal(received, 0);
+  });
+});